@@ -19,6 +19,8 @@ import EditPost from './pages/EditPost';
 import Profile from './pages/Profile';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import OAuthCallback from './pages/OAuthCallback';
+import AuthorProfile from './pages/AuthorProfile';
 import Categories from './pages/Categories';
 import CategoryPosts from './pages/CategoryPosts';
 import Search from './pages/Search';
@@ -59,8 +61,10 @@ function App() {
                     <Route path="/categories" element={<Categories />} />
                     <Route path="/category/:slug" element={<CategoryPosts />} />
                     <Route path="/search" element={<Search />} />
+                    <Route path="/author/:username" element={<AuthorProfile />} />
                     <Route path="/login" element={<Login />} />
                     <Route path="/register" element={<Register />} />
+                    <Route path="/oauth/callback" element={<OAuthCallback />} />
 
                     {/* Protected Routes */}
                     <Route path="/create-post" element={
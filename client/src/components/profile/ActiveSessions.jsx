@@ -0,0 +1,139 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Monitor, Smartphone, LogOut, ShieldCheck } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+
+import { apiHelpers, endpoints } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorMessage from '../common/ErrorMessage';
+
+// Rough "Browser on OS" label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge'
+      : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+          : /Safari\//.test(userAgent) ? 'Safari'
+            : 'Unknown browser';
+
+  const os =
+    /Windows/.test(userAgent) ? 'Windows'
+      : /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+          : /Mac OS X/.test(userAgent) ? 'macOS'
+            : /Linux/.test(userAgent) ? 'Linux'
+              : 'unknown OS';
+
+  return {
+    label: `${browser} on ${os}`,
+    mobile: /Mobile|Android|iPhone|iPad/.test(userAgent),
+  };
+};
+
+const ActiveSessions = () => {
+  const queryClient = useQueryClient();
+
+  const { data: sessions, isLoading, error } = useQuery(
+    'auth-sessions',
+    () => apiHelpers.get(endpoints.auth.sessions)
+  );
+
+  const revokeSession = useMutation(
+    (id) => apiHelpers.delete(endpoints.auth.session(id)),
+    {
+      onSuccess: () => {
+        toast.success('Session signed out');
+        queryClient.invalidateQueries('auth-sessions');
+      },
+    }
+  );
+
+  const revokeOthers = useMutation(
+    () => apiHelpers.delete(endpoints.auth.sessions),
+    {
+      onSuccess: (response) => {
+        toast.success(response.message || 'Logged out of all other sessions');
+        queryClient.invalidateQueries('auth-sessions');
+      },
+    }
+  );
+
+  const otherSessions = sessions?.data?.filter((session) => !session.current) || [];
+
+  return (
+    <section className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <ShieldCheck className="h-5 w-5 text-primary-600 mr-2" />
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            Active Sessions
+          </h2>
+        </div>
+
+        {otherSessions.length > 0 && (
+          <button
+            onClick={() => revokeOthers.mutate()}
+            disabled={revokeOthers.isLoading}
+            className="text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+          >
+            Log out everywhere else
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Devices currently signed in to your account. Sign out any you don&apos;t recognize.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <ErrorMessage message="Failed to load sessions" />
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {sessions.data.map((session) => {
+            const device = describeDevice(session.userAgent);
+            const DeviceIcon = device.mobile ? Smartphone : Monitor;
+
+            return (
+              <li key={session.id} className="flex items-center justify-between py-3">
+                <div className="flex items-center">
+                  <DeviceIcon className="h-8 w-8 text-gray-400 mr-3" />
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {device.label}
+                      {session.current && (
+                        <span className="ml-2 text-xs font-semibold text-green-600">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {session.ip || 'Unknown IP'} · Last active{' '}
+                      {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                </div>
+
+                {!session.current && (
+                  <button
+                    onClick={() => revokeSession.mutate(session.id)}
+                    disabled={revokeSession.isLoading}
+                    className="flex items-center text-sm text-gray-600 hover:text-red-600 dark:text-gray-400 disabled:opacity-50"
+                  >
+                    <LogOut className="h-4 w-4 mr-1" />
+                    Sign out
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,87 @@
+import { useRef, useState } from 'react';
+import { Camera, Trash2, User } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+import { useAuth } from '../../context/AuthContext';
+
+const MAX_FILE_SIZE = Number(import.meta.env.VITE_MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const ALLOWED_FILE_TYPES = (import.meta.env.VITE_ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/webp,image/gif')
+  .split(',');
+
+// Avatar with upload and remove controls. The server crops to a square
+// around the most interesting part of the image.
+const AvatarUpload = () => {
+  const { user, updateAvatar, removeAvatar } = useAuth();
+  const inputRef = useRef(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    // Same limits as the server; checked here to fail fast
+    if (!ALLOWED_FILE_TYPES.includes(file.type)) {
+      toast.error('Please choose a JPEG, PNG, WebP or GIF image');
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error(`Image must be smaller than ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB`);
+      return;
+    }
+
+    setIsUploading(true);
+    await updateAvatar(file);
+    setIsUploading(false);
+  };
+
+  return (
+    <div className="relative mr-4 group">
+      {user?.avatar ? (
+        <img
+          src={user.avatarVariants?.medium || user.avatar}
+          alt={user.fullName}
+          className="h-16 w-16 rounded-full object-cover"
+        />
+      ) : (
+        <div className="h-16 w-16 rounded-full bg-primary-100 dark:bg-primary-900 flex items-center justify-center">
+          <User className="h-8 w-8 text-primary-600 dark:text-primary-400" />
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={isUploading}
+        title="Change avatar"
+        className="absolute inset-0 flex items-center justify-center rounded-full bg-black/50 text-white opacity-0 group-hover:opacity-100 transition-opacity disabled:opacity-100"
+      >
+        <Camera className={`h-5 w-5 ${isUploading ? 'animate-pulse' : ''}`} />
+      </button>
+
+      {user?.avatar && !isUploading && (
+        <button
+          type="button"
+          onClick={removeAvatar}
+          title="Remove avatar"
+          className="absolute -bottom-1 -right-1 rounded-full bg-white dark:bg-gray-700 p-1 shadow text-gray-500 hover:text-red-600"
+        >
+          <Trash2 className="h-3 w-3" />
+        </button>
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ALLOWED_FILE_TYPES.join(',')}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+export default AvatarUpload;
@@ -0,0 +1,93 @@
+import { useEffect } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { useSearchParams } from 'react-router-dom';
+import { Link2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+import api, { apiHelpers, endpoints } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const ConnectedAccounts = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const { data: providers, isLoading } = useQuery(
+    'auth-oauth-providers',
+    () => apiHelpers.get(endpoints.auth.oauthProviders)
+  );
+
+  const { data: me } = useQuery('auth-me', () => apiHelpers.get(endpoints.auth.me));
+
+  // Result of a connect round trip through the provider
+  useEffect(() => {
+    const linked = searchParams.get('oauthLinked');
+    const error = searchParams.get('oauthError');
+
+    if (linked || error) {
+      if (linked) toast.success('Account connected');
+      if (error) toast.error(error);
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  // The provider redirect needs a short-lived link token, since the browser
+  // navigates there without the API's Authorization header
+  const connect = useMutation(
+    (provider) => apiHelpers.post(endpoints.auth.oauthLink(provider)),
+    {
+      onSuccess: (response, provider) => {
+        window.location.assign(
+          `${api.defaults.baseURL}${endpoints.auth.oauthStart(provider)}?link=${encodeURIComponent(response.data.linkToken)}`
+        );
+      },
+    }
+  );
+
+  if (!isLoading && !providers?.data?.length) {
+    return null;
+  }
+
+  const connected = new Set((me?.data?.identities || []).map((identity) => identity.provider));
+
+  return (
+    <section className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center mb-4">
+        <Link2 className="h-5 w-5 text-primary-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+          Connected Accounts
+        </h2>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Sign in with another account once it is connected here.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {providers.data.map((provider) => (
+            <li key={provider.name} className="flex items-center justify-between py-3">
+              <span className="font-medium text-gray-900 dark:text-white">{provider.label}</span>
+
+              {connected.has(provider.name) ? (
+                <span className="text-sm text-green-600">Connected</span>
+              ) : (
+                <button
+                  onClick={() => connect.mutate(provider.name)}
+                  disabled={connect.isLoading}
+                  className="text-sm font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                >
+                  Connect
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ConnectedAccounts;
@@ -0,0 +1,97 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Download, Archive } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+
+import { apiHelpers, endpoints } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const DataExport = () => {
+  const queryClient = useQueryClient();
+
+  const { data: exports, isLoading } = useQuery(
+    'auth-exports',
+    () => apiHelpers.get(endpoints.auth.export),
+    {
+      // Poll while an export is being built
+      refetchInterval: (response) =>
+        response?.data?.some((item) => ['pending', 'processing'].includes(item.status))
+          ? 5000
+          : false,
+    }
+  );
+
+  const requestExport = useMutation(
+    () => apiHelpers.post(endpoints.auth.export),
+    {
+      onSuccess: (response) => {
+        toast.success(response.message || 'Your export is being prepared');
+        queryClient.invalidateQueries('auth-exports');
+      },
+    }
+  );
+
+  const latest = exports?.data?.[0];
+  const inProgress = latest && ['pending', 'processing'].includes(latest.status);
+
+  return (
+    <section className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <Archive className="h-5 w-5 text-primary-600 mr-2" />
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            Your Data
+          </h2>
+        </div>
+
+        <button
+          onClick={() => requestExport.mutate()}
+          disabled={requestExport.isLoading || inProgress}
+          className="text-sm font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+        >
+          Request export
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Download a copy of your profile, posts (including drafts), comments and likes.
+        We&apos;ll email you a link when the archive is ready.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : latest && (
+        <div className="flex items-center justify-between text-sm">
+          {inProgress ? (
+            <span className="text-gray-600 dark:text-gray-400">Preparing your export...</span>
+          ) : latest.status === 'failed' ? (
+            <span className="text-red-600">The last export failed. Please try again.</span>
+          ) : (
+            <>
+              <span className="text-gray-600 dark:text-gray-400">
+                Ready · {formatSize(latest.fileSize)} · expires{' '}
+                {formatDistanceToNow(new Date(latest.expiresAt), { addSuffix: true })}
+              </span>
+              <a
+                href={latest.downloadUrl}
+                className="flex items-center font-medium text-primary-600 hover:text-primary-700"
+              >
+                <Download className="h-4 w-4 mr-1" />
+                Download
+              </a>
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DataExport;
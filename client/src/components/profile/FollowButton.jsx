@@ -0,0 +1,63 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { UserPlus, UserCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+import { apiHelpers, endpoints } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+// Follow / unfollow toggle for an author or category
+const FollowButton = ({ type, id, className = '' }) => {
+  const { isAuthenticated, user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: follows } = useQuery(
+    'follows',
+    () => apiHelpers.get(endpoints.follows.list),
+    {
+      enabled: isAuthenticated,
+    }
+  );
+
+  const list = type === 'author' ? follows?.data?.authors : follows?.data?.categories;
+  const isFollowing = Boolean(list?.some((item) => item.id === id));
+
+  const toggleFollow = useMutation(
+    () => (isFollowing
+      ? apiHelpers.delete(endpoints.follows.unfollow(type, id))
+      : apiHelpers.post(endpoints.follows.follow, { type, id })),
+    {
+      onSuccess: (response) => {
+        toast.success(response.message);
+        queryClient.invalidateQueries('follows');
+        queryClient.invalidateQueries('feed');
+        queryClient.invalidateQueries('author');
+      },
+      onError: (error) => {
+        toast.error(error.message || 'Something went wrong');
+      },
+    }
+  );
+
+  if (!isAuthenticated || (type === 'author' && user?.id === id)) {
+    return null;
+  }
+
+  const Icon = isFollowing ? UserCheck : UserPlus;
+
+  return (
+    <button
+      onClick={() => toggleFollow.mutate()}
+      disabled={toggleFollow.isLoading}
+      className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 ${
+        isFollowing
+          ? 'bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200'
+          : 'bg-primary-600 text-white hover:bg-primary-700'
+      } ${className}`}
+    >
+      <Icon className="h-4 w-4 mr-2" />
+      {isFollowing ? 'Following' : 'Follow'}
+    </button>
+  );
+};
+
+export default FollowButton;
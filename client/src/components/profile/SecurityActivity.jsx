@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { useQuery } from 'react-query';
+import { History, AlertTriangle } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+
+import { apiHelpers, endpoints } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorMessage from '../common/ErrorMessage';
+
+// Human-readable labels for audit event actions
+const ACTION_LABELS = {
+  'auth.register': 'Account created',
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in attempt',
+  'auth.logout': 'Signed out',
+  'auth.password_change': 'Password changed',
+  'auth.password_reset_request': 'Password reset requested',
+  'auth.password_reset': 'Password reset',
+  'auth.profile_update': 'Profile updated',
+  'auth.email_change_request': 'Email change requested',
+  'auth.email_change': 'Email address changed',
+  'auth.email_change_cancel': 'Email change cancelled',
+  'auth.account_deactivate': 'Account deletion requested',
+  'auth.two_factor_enable': 'Two-factor authentication enabled',
+  'auth.two_factor_disable': 'Two-factor authentication disabled',
+  'auth.two_factor_backup_codes': 'Backup codes regenerated',
+  'auth.oauth_link': 'External account connected',
+  'auth.api_token_create': 'Access token created',
+  'auth.api_token_revoke': 'Access token revoked',
+  'admin.user_unlock': 'Sign-in lockout cleared',
+  'admin.user_role_change': 'Role changed',
+  'admin.user_deactivate': 'Account deactivated',
+  'admin.user_reactivate': 'Account reactivated',
+  'admin.user_password_reset': 'Password reset required',
+  'admin.user_deletion_post_action': 'Deletion settings changed',
+};
+
+const SecurityActivity = () => {
+  const [page, setPage] = useState(1);
+
+  const { data: events, isLoading, error } = useQuery(
+    ['auth-security-events', page],
+    () => apiHelpers.get(endpoints.auth.securityEvents, { page, limit: 10 }),
+    { keepPreviousData: true }
+  );
+
+  return (
+    <section className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center mb-4">
+        <History className="h-5 w-5 text-primary-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+          Security Activity
+        </h2>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Recent sign-ins and changes to your account. If something looks unfamiliar,
+        change your password and sign out of other sessions.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <ErrorMessage message="Failed to load security activity" />
+      ) : (
+        <>
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {events.data.map((event) => (
+              <li key={event.id} className="flex items-center justify-between py-3 text-sm">
+                <div className="flex items-center">
+                  {event.outcome === 'failure' && (
+                    <AlertTriangle className="h-4 w-4 text-red-600 mr-2" />
+                  )}
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {ACTION_LABELS[event.action] || event.action}
+                      {event.byAdmin && (
+                        <span className="ml-2 text-xs font-semibold text-primary-600">
+                          By an administrator
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-gray-500 dark:text-gray-400">
+                      {event.ip || 'Unknown IP'}
+                    </p>
+                  </div>
+                </div>
+                <span className="text-gray-500 dark:text-gray-400">
+                  {formatDistanceToNow(new Date(event.createdAt), { addSuffix: true })}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          {events.pagination.totalPages > 1 && (
+            <div className="flex justify-between mt-4 text-sm">
+              <button
+                onClick={() => setPage((current) => current - 1)}
+                disabled={!events.pagination.hasPrevPage}
+                className="font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+              >
+                Newer
+              </button>
+              <button
+                onClick={() => setPage((current) => current + 1)}
+                disabled={!events.pagination.hasNextPage}
+                className="font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+              >
+                Older
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default SecurityActivity;
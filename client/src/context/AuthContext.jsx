@@ -1,5 +1,6 @@
 import { createContext, useContext, useReducer, useEffect } from 'react';
 import { authService } from '../services/authService';
+import api, { apiHelpers, endpoints } from '../services/api';
 import toast from 'react-hot-toast';
 
 // Auth Context
@@ -10,6 +11,8 @@ const AUTH_ACTIONS = {
   LOGIN_START: 'LOGIN_START',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  TWO_FACTOR_CANCEL: 'TWO_FACTOR_CANCEL',
   LOGOUT: 'LOGOUT',
   REGISTER_START: 'REGISTER_START',
   REGISTER_SUCCESS: 'REGISTER_SUCCESS',
@@ -26,6 +29,8 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  // Set between a password login and its 2FA code: { challengeToken }
+  twoFactorChallenge: null,
 };
 
 // Auth Reducer
@@ -42,6 +47,9 @@ function authReducer(state, action) {
     case AUTH_ACTIONS.LOGIN_SUCCESS:
     case AUTH_ACTIONS.REGISTER_SUCCESS:
       localStorage.setItem('token', action.payload.token);
+      if (action.payload.refreshToken) {
+        localStorage.setItem('refreshToken', action.payload.refreshToken);
+      }
       return {
         ...state,
         user: action.payload.user,
@@ -49,11 +57,27 @@ function authReducer(state, action) {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        twoFactorChallenge: null,
+      };
+
+    case AUTH_ACTIONS.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        twoFactorChallenge: { challengeToken: action.payload.challengeToken },
+      };
+
+    case AUTH_ACTIONS.TWO_FACTOR_CANCEL:
+      return {
+        ...state,
+        twoFactorChallenge: null,
       };
 
     case AUTH_ACTIONS.LOGIN_FAILURE:
     case AUTH_ACTIONS.REGISTER_FAILURE:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -65,6 +89,7 @@ function authReducer(state, action) {
 
     case AUTH_ACTIONS.LOGOUT:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -135,12 +160,22 @@ export function AuthProvider({ children }) {
     
     try {
       const response = await authService.login(credentials);
+
+      // Password accepted but a second factor is needed
+      if (response.twoFactorRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+          payload: { challengeToken: response.challengeToken },
+        });
+        return { success: false, twoFactorRequired: true };
+      }
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
         payload: {
           user: response.user,
           token: response.token,
+          refreshToken: response.refreshToken,
         },
       });
 
@@ -159,6 +194,84 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Finish an external (OAuth/OIDC) login with the code from the callback
+  const loginWithOAuthCode = async (code) => {
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    try {
+      const response = await apiHelpers.post(endpoints.auth.oauthExchange, { code });
+
+      if (response.twoFactorRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+          payload: { challengeToken: response.challengeToken },
+        });
+        return { success: false, twoFactorRequired: true };
+      }
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: {
+          user: response.user,
+          token: response.token,
+          refreshToken: response.refreshToken,
+        },
+      });
+
+      toast.success(response.message || 'Login successful!');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.message || 'External login failed';
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: errorMessage,
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Complete a 2FA login with an authenticator or backup code
+  const verifyTwoFactor = async (code) => {
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    try {
+      const response = await apiHelpers.post(endpoints.auth.twoFactorVerify, {
+        challengeToken: state.twoFactorChallenge?.challengeToken,
+        code,
+      });
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: {
+          user: response.user,
+          token: response.token,
+          refreshToken: response.refreshToken,
+        },
+      });
+
+      toast.success(response.message || 'Login successful!');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.message || 'Verification failed';
+
+      // Keep the challenge so the user can retry with another code
+      dispatch({
+        type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+        payload: { challengeToken: state.twoFactorChallenge?.challengeToken },
+      });
+
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Abandon a pending 2FA login
+  const cancelTwoFactor = () => {
+    dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_CANCEL });
+  };
+
   // Register function
   const register = async (userData) => {
     dispatch({ type: AUTH_ACTIONS.REGISTER_START });
@@ -171,6 +284,7 @@ export function AuthProvider({ children }) {
         payload: {
           user: response.user,
           token: response.token,
+          refreshToken: response.refreshToken,
         },
       });
 
@@ -192,7 +306,7 @@ export function AuthProvider({ children }) {
   // Logout function
   const logout = async () => {
     try {
-      await authService.logout();
+      await authService.logout({ refreshToken: localStorage.getItem('refreshToken') });
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
@@ -220,6 +334,54 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Upload a new avatar (optionally with a square crop in source pixels)
+  const updateAvatar = async (file, crop = null) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    if (crop) {
+      formData.append('cropX', crop.x);
+      formData.append('cropY', crop.y);
+      formData.append('cropSize', crop.size);
+    }
+
+    try {
+      const response = await api.put(endpoints.auth.avatar, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+
+      dispatch({
+        type: AUTH_ACTIONS.UPDATE_PROFILE,
+        payload: response.data,
+      });
+
+      toast.success('Avatar updated');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.message || 'Avatar upload failed';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Remove the current avatar
+  const removeAvatar = async () => {
+    try {
+      await apiHelpers.delete(endpoints.auth.avatar);
+
+      dispatch({
+        type: AUTH_ACTIONS.UPDATE_PROFILE,
+        payload: { avatar: null, avatarVariants: null },
+      });
+
+      toast.success('Avatar removed');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.message || 'Failed to remove avatar';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Change password function
   const changePassword = async (passwordData) => {
     try {
@@ -242,9 +404,14 @@ export function AuthProvider({ children }) {
   const value = {
     ...state,
     login,
+    loginWithOAuthCode,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     logout,
     updateProfile,
+    updateAvatar,
+    removeAvatar,
     changePassword,
     clearError,
   };
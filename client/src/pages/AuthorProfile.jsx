@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { User, FileText, Eye, Heart, Calendar, Users } from 'lucide-react';
+import { motion } from 'framer-motion';
+
+import { apiHelpers, endpoints } from '../services/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import PostCard from '../components/posts/PostCard';
+import FollowButton from '../components/profile/FollowButton';
+import { formatDate } from '../utils/helpers';
+
+const AuthorProfile = () => {
+  const { username } = useParams();
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, error } = useQuery(
+    ['author', username, page],
+    () => apiHelpers.get(endpoints.users.profile(username), { page, limit: 9 }),
+    {
+      keepPreviousData: true,
+      retry: false,
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 py-12">
+        <ErrorMessage message={error.message || 'Author not found'} />
+      </div>
+    );
+  }
+
+  const { author, posts } = data.data;
+  const { pagination } = data;
+
+  const stats = [
+    { label: 'Posts', value: author.postCount, icon: FileText },
+    { label: 'Views', value: author.totalViews, icon: Eye },
+    { label: 'Likes', value: author.totalLikes, icon: Heart },
+    { label: 'Followers', value: author.followerCount, icon: Users },
+    { label: 'Following', value: author.followingCount, icon: User },
+  ];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      {/* Author Header */}
+      <motion.section
+        className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 mb-12"
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="flex flex-col md:flex-row items-center md:items-start">
+          {author.avatar ? (
+            <img
+              src={author.avatar}
+              alt={author.fullName}
+              className="h-24 w-24 rounded-full object-cover md:mr-6 mb-4 md:mb-0"
+            />
+          ) : (
+            <div className="h-24 w-24 rounded-full bg-primary-100 dark:bg-primary-900 flex items-center justify-center md:mr-6 mb-4 md:mb-0">
+              <User className="h-12 w-12 text-primary-600 dark:text-primary-400" />
+            </div>
+          )}
+
+          <div className="flex-1 text-center md:text-left">
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              {author.fullName}
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">@{author.username}</p>
+            <p className="flex items-center justify-center md:justify-start text-sm text-gray-500 dark:text-gray-400 mt-1">
+              <Calendar className="h-4 w-4 mr-1" />
+              Joined {formatDate(author.joinedAt)}
+            </p>
+
+            {author.bio && (
+              <p className="mt-4 text-gray-700 dark:text-gray-300">{author.bio}</p>
+            )}
+          </div>
+
+          <FollowButton type="author" id={author.id} className="mt-4 md:mt-0" />
+        </div>
+
+        <div className="grid grid-cols-3 md:grid-cols-5 gap-4 mt-8 border-t border-gray-200 dark:border-gray-700 pt-6">
+          {stats.map(({ label, value, icon: Icon }) => (
+            <div key={label} className="text-center">
+              <Icon className="h-5 w-5 mx-auto text-primary-600 mb-1" />
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{value}</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400">{label}</p>
+            </div>
+          ))}
+        </div>
+      </motion.section>
+
+      {/* Posts */}
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
+        Posts by {author.fullName}
+      </h2>
+
+      {posts.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+          {posts.map((post) => (
+            <PostCard key={post._id} post={{ ...post, author }} />
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-600 dark:text-gray-400">No published posts yet.</p>
+      )}
+
+      {/* Pagination */}
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-12">
+          <button
+            onClick={() => setPage((current) => current - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600 dark:text-gray-400">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage((current) => current + 1)}
+            disabled={!pagination.hasNextPage}
+            className="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthorProfile;
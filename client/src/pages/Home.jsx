@@ -12,10 +12,14 @@ import PostCard from '../components/posts/PostCard';
 import CategoryBadge from '../components/categories/CategoryBadge';
 import SearchBox from '../components/common/SearchBox';
 import { formatDate } from '../utils/helpers';
+import { useAuth } from '../context/AuthContext';
+import { apiHelpers, endpoints } from '../services/api';
 
 const Home = () => {
+  const { isAuthenticated } = useAuth();
   const [selectedCategory, setSelectedCategory] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [activeTab, setActiveTab] = useState('recent');
 
   // Fetch featured posts
   const { 
@@ -48,6 +52,24 @@ const Home = () => {
     }
   );
 
+  // Fetch the personalized feed when the Following tab is open
+  const {
+    data: feedPosts,
+    isLoading: loadingFeed,
+    error: feedError
+  } = useQuery(
+    ['feed', { page: 1, limit: 6 }],
+    () => apiHelpers.get(endpoints.feed, { page: 1, limit: 6 }),
+    {
+      enabled: isAuthenticated && activeTab === 'following',
+    }
+  );
+
+  const showFollowing = isAuthenticated && activeTab === 'following' && !searchTerm && !selectedCategory;
+  const displayedPosts = showFollowing ? feedPosts : recentPosts;
+  const loadingPosts = showFollowing ? loadingFeed : loadingRecent;
+  const postsError = showFollowing ? feedError : recentError;
+
   // Fetch categories
   const { 
     data: categories, 
@@ -238,11 +260,33 @@ const Home = () => {
             <div className="flex items-center">
               <Clock className="h-6 w-6 text-primary-600 mr-2" />
               <h2 className="text-3xl font-bold text-gray-900 dark:text-white">
-                {searchTerm ? 'Search Results' : selectedCategory ? 'Category Posts' : 'Recent Posts'}
+                {searchTerm ? 'Search Results' : selectedCategory ? 'Category Posts' : showFollowing ? 'Following' : 'Recent Posts'}
               </h2>
+
+              {/* Feed Tabs */}
+              {isAuthenticated && !searchTerm && !selectedCategory && (
+                <div className="flex ml-6 rounded-lg bg-gray-200 dark:bg-gray-700 p-1">
+                  {[
+                    { key: 'recent', label: 'Recent' },
+                    { key: 'following', label: 'Following' },
+                  ].map((tab) => (
+                    <button
+                      key={tab.key}
+                      onClick={() => setActiveTab(tab.key)}
+                      className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                        activeTab === tab.key
+                          ? 'bg-white text-gray-900 shadow dark:bg-gray-900 dark:text-white'
+                          : 'text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
+                      }`}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
             
-            {!searchTerm && !selectedCategory && (
+            {!searchTerm && !selectedCategory && !showFollowing && (
               <Link 
                 to="/posts"
                 className="text-primary-600 hover:text-primary-700 font-medium transition-colors"
@@ -252,9 +296,16 @@ const Home = () => {
             )}
           </motion.div>
 
-          {recentError ? (
+          {showFollowing && feedPosts?.isFallback && (
+            <p className="text-gray-600 dark:text-gray-400 mb-6">
+              You aren&apos;t following anyone yet. Here are the latest posts; follow authors
+              and categories to personalize this feed.
+            </p>
+          )}
+
+          {postsError ? (
             <ErrorMessage message="Failed to load posts" />
-          ) : loadingRecent ? (
+          ) : loadingPosts ? (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
               {[...Array(6)].map((_, index) => (
                 <div key={index} className="animate-pulse">
@@ -265,12 +316,12 @@ const Home = () => {
                 </div>
               ))}
             </div>
-          ) : recentPosts?.data?.length > 0 ? (
+          ) : displayedPosts?.data?.length > 0 ? (
             <motion.div 
               className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8"
               variants={containerVariants}
             >
-              {recentPosts.data.map((post) => (
+              {displayedPosts.data.map((post) => (
                 <motion.div
                   key={post._id}
                   variants={itemVariants}
@@ -315,7 +366,7 @@ const Home = () => {
           )}
 
           {/* Pagination */}
-          {recentPosts?.pagination?.totalPages > 1 && (
+          {!showFollowing && recentPosts?.pagination?.totalPages > 1 && (
             <motion.div 
               className="flex justify-center mt-12"
               variants={itemVariants}
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+// Landing page after an external login; trades the one-time code for a session
+const OAuthCallback = () => {
+  const navigate = useNavigate();
+  const { loginWithOAuthCode } = useAuth();
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    // The code is single use, so guard against StrictMode double effects
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const code = new URLSearchParams(window.location.hash.slice(1)).get('code');
+
+    if (!code) {
+      navigate('/login', { replace: true });
+      return;
+    }
+
+    loginWithOAuthCode(code).then((result) => {
+      if (result.success) {
+        navigate('/', { replace: true });
+      } else if (result.twoFactorRequired) {
+        // Login page shows the 2FA step for the pending challenge
+        navigate('/login', { replace: true });
+      } else {
+        navigate(`/login?oauthError=${encodeURIComponent(result.error)}`, { replace: true });
+      }
+    });
+  }, [loginWithOAuthCode, navigate]);
+
+  return (
+    <div className="flex justify-center items-center min-h-96">
+      <LoadingSpinner size="lg" />
+    </div>
+  );
+};
+
+export default OAuthCallback;
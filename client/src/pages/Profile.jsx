@@ -0,0 +1,52 @@
+import { useAuth } from '../context/AuthContext';
+import { formatDate } from '../utils/helpers';
+import AvatarUpload from '../components/profile/AvatarUpload';
+import ActiveSessions from '../components/profile/ActiveSessions';
+import SecurityActivity from '../components/profile/SecurityActivity';
+import ConnectedAccounts from '../components/profile/ConnectedAccounts';
+import DataExport from '../components/profile/DataExport';
+
+const Profile = () => {
+  const { user } = useAuth();
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8">
+      {/* Account Overview */}
+      <section className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+        <div className="flex items-center">
+          <AvatarUpload />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              {user?.fullName}
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              @{user?.username} · {user?.email}
+            </p>
+            {user?.createdAt && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Member since {formatDate(user.createdAt)}
+              </p>
+            )}
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {user?.followerCount || 0} followers · {user?.followingCount || 0} following
+            </p>
+          </div>
+        </div>
+
+        {user?.bio && (
+          <p className="mt-4 text-gray-700 dark:text-gray-300">{user.bio}</p>
+        )}
+      </section>
+
+      {/* Security */}
+      <ActiveSessions />
+      <ConnectedAccounts />
+      <SecurityActivity />
+
+      {/* Privacy */}
+      <DataExport />
+    </div>
+  );
+};
+
+export default Profile;
@@ -34,6 +34,29 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh the access token, sharing one request between concurrent callers
+// (refresh tokens rotate, so reusing one would revoke the whole session)
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, {
+        refreshToken: localStorage.getItem('refreshToken'),
+      })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor to handle common responses
 api.interceptors.response.use(
   (response) => {
@@ -44,12 +67,32 @@ api.interceptors.response.use(
 
     return response.data;
   },
-  (error) => {
+  async (error) => {
     // Log error in development
     if (import.meta.env.DEV) {
       console.error('Response error:', error);
     }
 
+    // Access token expired - try a refresh once, then replay the request
+    const originalRequest = error.config;
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !originalRequest.url?.startsWith('/auth/') &&
+      localStorage.getItem('refreshToken')
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        localStorage.removeItem('refreshToken');
+      }
+    }
+
     // Handle different error scenarios
     if (error.response) {
       // Server responded with error status
@@ -57,8 +100,9 @@ api.interceptors.response.use(
 
       switch (status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
+          // Unauthorized - clear tokens and redirect to login
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           if (window.location.pathname !== '/login') {
             toast.error('Session expired. Please login again.');
             window.location.href = '/login';
@@ -122,11 +166,35 @@ export const endpoints = {
   auth: {
     login: '/auth/login',
     register: '/auth/register',
+    registration: '/auth/registration',
     logout: '/auth/logout',
+    refresh: '/auth/refresh',
+    twoFactorVerify: '/auth/2fa/verify',
+    twoFactorSetup: '/auth/2fa/setup',
+    twoFactorEnable: '/auth/2fa/enable',
+    twoFactorDisable: '/auth/2fa/disable',
+    twoFactorBackupCodes: '/auth/2fa/backup-codes',
+    oauthProviders: '/auth/oauth/providers',
+    oauthStart: (provider) => `/auth/oauth/${provider}`,
+    oauthExchange: '/auth/oauth/exchange',
+    oauthLink: (provider) => `/auth/oauth/${provider}/link`,
     me: '/auth/me',
     updateProfile: '/auth/profile',
     changePassword: '/auth/password',
     deleteAccount: '/auth/account',
+    forgotPassword: '/auth/forgot-password',
+    resetPassword: (token) => `/auth/reset-password/${token}`,
+    sessions: '/auth/sessions',
+    session: (id) => `/auth/sessions/${id}`,
+    securityEvents: '/auth/security-events',
+    tokens: '/auth/tokens',
+    token: (id) => `/auth/tokens/${id}`,
+    export: '/auth/export',
+    verifyEmail: (token) => `/auth/verify-email/${token}`,
+    resendVerification: '/auth/verify-email/resend',
+    changeEmail: '/auth/email',
+    avatar: '/auth/avatar',
+    confirmEmail: (token) => `/auth/email/confirm/${token}`,
   },
 
   // Posts endpoints
@@ -138,6 +206,11 @@ export const endpoints = {
     update: (id) => `/posts/${id}`,
     delete: (id) => `/posts/${id}`,
     like: (id) => `/posts/${id}/like`,
+    revisions: (id) => `/posts/${id}/revisions`,
+    revisionDiff: (id) => `/posts/${id}/revisions/diff`,
+    restoreRevision: (id, rev) => `/posts/${id}/revisions/${rev}/restore`,
+    autosave: (id) => `/posts/${id}/autosave`,
+    promoteAutosave: (id) => `/posts/${id}/autosave/promote`,
     search: '/posts/search',
     featured: '/posts/featured',
   },
@@ -160,6 +233,38 @@ export const endpoints = {
     delete: (id) => `/comments/${id}`,
     like: (id) => `/comments/${id}/like`,
     getReplies: (id) => `/comments/${id}/replies`,
+    moderation: '/comments/moderation',
+    approve: (id) => `/comments/${id}/approve`,
+    reject: (id) => `/comments/${id}/reject`,
+  },
+
+  // Public author profiles
+  users: {
+    profile: (username) => `/users/${username}`,
+  },
+
+  // Follows and personalized feed
+  follows: {
+    list: '/follows',
+    follow: '/follows',
+    unfollow: (type, id) => `/follows/${type}/${id}`,
+  },
+  feed: '/feed',
+
+  // Admin endpoints
+  admin: {
+    users: '/admin/users',
+    user: (id) => `/admin/users/${id}`,
+    userPosts: (id) => `/admin/users/${id}/posts`,
+    userComments: (id) => `/admin/users/${id}/comments`,
+    deactivateUser: (id) => `/admin/users/${id}/deactivate`,
+    reactivateUser: (id) => `/admin/users/${id}/reactivate`,
+    forcePasswordReset: (id) => `/admin/users/${id}/password-reset`,
+    unlockUser: (id) => `/admin/users/${id}/unlock`,
+    changeRole: (id) => `/admin/users/${id}/role`,
+    audit: '/admin/audit',
+    invitations: '/admin/invitations',
+    invitation: (id) => `/admin/invitations/${id}`,
   },
 
   // Upload endpoints
@@ -272,12 +377,18 @@ export const categoryService = {
 
 // Auth API services
 export const authService = {
-  // Register a new user
+  // Register a new user (userData.inviteCode is required in invite-only mode)
   register: async (userData) => {
     const response = await api.post('/auth/register', userData);
     return response.data;
   },
 
+  // Registration mode, plus whether an invitation code (e.g. from a ?invite= link) is valid
+  getRegistrationStatus: async (invite) => {
+    const response = await api.get('/auth/registration', { params: invite ? { invite } : {} });
+    return response.data;
+  },
+
   // Login user
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
@@ -0,0 +1,77 @@
+// External login providers, enabled by setting their client credentials.
+//
+// Providers with an `issuer` are OpenID Connect and are configured through
+// discovery (<issuer>/.well-known/openid-configuration). Plain OAuth2 providers
+// (GitHub) list their endpoints and map their own user API to a profile.
+
+const presets = {
+  github: {
+    label: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint: 'https://api.github.com/user',
+    emailsEndpoint: 'https://api.github.com/user/emails',
+    scope: 'read:user user:email'
+  },
+  google: {
+    label: 'Google',
+    issuer: 'https://accounts.google.com',
+    scope: 'openid email profile'
+  }
+};
+
+const loadProviders = () => {
+  const providers = {};
+
+  if (process.env.OAUTH_GITHUB_CLIENT_ID) {
+    providers.github = {
+      ...presets.github,
+      name: 'github',
+      clientId: process.env.OAUTH_GITHUB_CLIENT_ID,
+      clientSecret: process.env.OAUTH_GITHUB_CLIENT_SECRET
+    };
+  }
+
+  if (process.env.OAUTH_GOOGLE_CLIENT_ID) {
+    providers.google = {
+      ...presets.google,
+      name: 'google',
+      clientId: process.env.OAUTH_GOOGLE_CLIENT_ID,
+      clientSecret: process.env.OAUTH_GOOGLE_CLIENT_SECRET
+    };
+  }
+
+  // Any OpenID Connect issuer (Keycloak, Auth0, a local mock server, ...)
+  if (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID) {
+    const name = process.env.OIDC_PROVIDER_NAME || 'oidc';
+
+    providers[name] = {
+      name,
+      label: process.env.OIDC_PROVIDER_LABEL || 'Single Sign-On',
+      issuer: process.env.OIDC_ISSUER.replace(/\/$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      scope: process.env.OIDC_SCOPE || 'openid email profile'
+    };
+  }
+
+  return providers;
+};
+
+let providers = null;
+
+// Get an enabled provider by name
+exports.getProvider = (name) => {
+  providers = providers || loadProviders();
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+};
+
+// List enabled providers for the login page
+exports.listProviders = () => {
+  providers = providers || loadProviders();
+  return Object.values(providers).map(({ name, label }) => ({ name, label }));
+};
+
+// Redirect URI registered with the provider
+exports.getRedirectUri = (name) =>
+  `${process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`}/api/auth/oauth/${name}/callback`;
@@ -0,0 +1,59 @@
+// Role-based permission matrix. Controllers and routes check permissions by
+// name (e.g. 'posts:publish') and never compare role strings directly.
+
+const PERMISSIONS = {
+  POSTS_CREATE: 'posts:create', // create drafts
+  POSTS_PUBLISH: 'posts:publish', // publish own posts
+  POSTS_EDIT_OWN: 'posts:edit_own',
+  POSTS_DELETE_OWN: 'posts:delete_own',
+  POSTS_EDIT_ANY: 'posts:edit_any',
+  POSTS_PUBLISH_ANY: 'posts:publish_any',
+  POSTS_DELETE_ANY: 'posts:delete_any',
+  COMMENTS_CREATE: 'comments:create',
+  COMMENTS_EDIT_OWN: 'comments:edit_own',
+  COMMENTS_DELETE_OWN: 'comments:delete_own',
+  COMMENTS_MODERATE: 'comments:moderate', // approve, reject, edit or delete any comment
+  CATEGORIES_MANAGE: 'categories:manage',
+  USERS_MANAGE: 'users:manage',
+  USERS_ASSIGN_ROLES: 'users:assign_roles',
+  AUDIT_VIEW: 'audit:view' // read the security audit log
+};
+
+const P = PERMISSIONS;
+
+const commenter = [P.COMMENTS_CREATE, P.COMMENTS_EDIT_OWN, P.COMMENTS_DELETE_OWN];
+const contributor = [...commenter, P.POSTS_CREATE, P.POSTS_EDIT_OWN, P.POSTS_DELETE_OWN];
+const author = [...contributor, P.POSTS_PUBLISH];
+
+const ROLE_PERMISSIONS = {
+  // Default role for new accounts; keeps the original "write your own posts" rights
+  user: author,
+  contributor,
+  author,
+  moderator: [...commenter, P.COMMENTS_MODERATE],
+  editor: [
+    ...author,
+    P.POSTS_EDIT_ANY,
+    P.POSTS_PUBLISH_ANY,
+    P.POSTS_DELETE_ANY,
+    P.COMMENTS_MODERATE,
+    P.CATEGORIES_MANAGE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+
+// List the permissions of a role
+const permissionsFor = (role) => [...new Set(ROLE_PERMISSIONS[role] || [])];
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+  permissionsFor
+};
@@ -0,0 +1,17 @@
+// Who may create an account:
+//   open        - anyone
+//   invite-only - only with a valid invitation code
+//   closed      - nobody; accounts are created by other means
+const REGISTRATION_MODES = ['open', 'invite-only', 'closed'];
+
+// Current mode from REGISTRATION_MODE. Unknown values close registration
+// rather than silently opening it.
+const getRegistrationMode = () => {
+  const mode = (process.env.REGISTRATION_MODE || 'open').toLowerCase();
+  return REGISTRATION_MODES.includes(mode) ? mode : 'closed';
+};
+
+module.exports = {
+  REGISTRATION_MODES,
+  getRegistrationMode
+};
@@ -0,0 +1,790 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const AuditEvent = require('../models/AuditEvent');
+const Invitation = require('../models/Invitation');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const { sendEmail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { PERMISSIONS } = require('../config/permissions');
+const { getRegistrationMode } = require('../config/registration');
+
+// Load the user named by :id, or null
+const findUser = (id, select = '') =>
+  mongoose.Types.ObjectId.isValid(id) ? User.findById(id).select(select) : null;
+
+// Escape user input for use in a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Paginate a query, resolving to { data, pagination }
+const paginate = async (Model, query, { page = 1, limit = 20, sort, populate = [], select } = {}) => {
+  page = Math.max(parseInt(page) || 1, 1);
+  limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  let find = Model.find(query).sort(sort).skip((page - 1) * limit).limit(limit);
+  if (select) {
+    find = find.select(select);
+  }
+  populate.forEach((path) => {
+    find = find.populate(path);
+  });
+
+  const [data, total] = await Promise.all([find, Model.countDocuments(query)]);
+
+  return {
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      hasNextPage: page < Math.ceil(total / limit),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+// @desc    List users with search, filters and pagination
+// @route   GET /api/admin/users
+// @access  Private (users:manage)
+exports.getUsers = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      search,
+      role,
+      isActive,
+      emailVerified,
+      createdFrom,
+      createdTo,
+      page,
+      limit,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive;
+    }
+    if (emailVerified !== undefined) {
+      query.emailVerified = emailVerified;
+    }
+    if (createdFrom || createdTo) {
+      query.createdAt = {
+        ...(createdFrom && { $gte: createdFrom }),
+        ...(createdTo && { $lte: createdTo })
+      };
+    }
+
+    const result = await paginate(User, query, {
+      page,
+      limit,
+      sort: { [sortBy]: sortOrder === 'asc' ? 1 : -1 },
+      populate: ['postCount']
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get one user with activity counts
+// @route   GET /api/admin/users/:id
+// @access  Private (users:manage)
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.populate(['postCount', 'followerCount', 'followingCount']);
+
+    const [commentCount, activeSessions, block] = await Promise.all([
+      Comment.countDocuments({ author: user._id }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+      LoginThrottle.getBlock([LoginThrottle.accountKey(user.email)])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...user.toJSON(),
+        commentCount,
+        activeSessions,
+        isLocked: Boolean(block && block.locked)
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Deactivate an account and sign it out everywhere
+// @route   PUT /api/admin/users/:id/deactivate
+// @access  Private (users:manage)
+exports.deactivateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already deactivated'
+      });
+    }
+
+    await user.deactivate();
+    await Session.revokeAllForUser(user._id, 'account_deactivated');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    await AuditEvent.record(req, 'admin.user_deactivate', {
+      target: user,
+      details: { reason: req.body.reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Account ${user.username} deactivated`
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Reactivate a deactivated account (also cancels a pending deletion)
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private (users:manage)
+exports.reactivateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already active'
+      });
+    }
+
+    // Also cancels a pending self-service deletion
+    const wasPendingDeletion = user.cancelDeletion();
+    user.isActive = true;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditEvent.record(req, 'admin.user_reactivate', {
+      target: user,
+      details: { wasPendingDeletion }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Account ${user.username} reactivated`
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reactivating account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Invalidate a user's password and email them a reset link
+// @route   POST /api/admin/users/:id/password-reset
+// @access  Private (users:manage)
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    // Load the hashes so the current password moves into the history
+    const user = await findUser(req.params.id, '+password +passwordHistory');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const expiresInMinutes = (parseInt(process.env.ADMIN_RESET_PASSWORD_EXPIRE_HOURS) || 24) * 60;
+
+    // The old password stops working immediately
+    user.password = crypto.randomBytes(32).toString('hex');
+    const resetToken = user.getResetPasswordToken(expiresInMinutes);
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, 'password_reset_forced');
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+    let emailSent = true;
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.passwordReset({ user, resetUrl, expiresInMinutes })
+      });
+    } catch (error) {
+      console.error('Forced password reset email error:', error);
+      emailSent = false;
+    }
+
+    await AuditEvent.record(req, 'admin.user_password_reset', {
+      target: user,
+      details: { emailSent }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? `Password reset for ${user.username}. A reset link was emailed to them.`
+        : `Password reset for ${user.username}, but the email could not be sent. Ask them to use "Forgot password".`
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List a user's posts (all statuses)
+// @route   GET /api/admin/users/:id/posts
+// @access  Private (users:manage)
+exports.getUserPosts = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id, '_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { page, limit, status } = req.query;
+
+    const result = await paginate(Post, { author: user._id, ...(status && { status }) }, {
+      page,
+      limit,
+      sort: { createdAt: -1 },
+      select: '-content',
+      populate: ['commentCount', { path: 'category', select: 'name slug color' }]
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get user posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching posts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List a user's comments (including unapproved ones)
+// @route   GET /api/admin/users/:id/comments
+// @access  Private (users:manage)
+exports.getUserComments = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id, '_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { page, limit } = req.query;
+
+    const result = await paginate(Comment, { author: user._id }, {
+      page,
+      limit,
+      sort: { createdAt: -1 },
+      populate: [{ path: 'post', select: 'title slug' }]
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get user comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Clear failed-login lockout for a user
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (users:manage)
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await LoginThrottle.reset(LoginThrottle.accountKey(user.email));
+
+    await AuditEvent.record(req, 'admin.user_unlock', { target: user });
+
+    res.status(200).json({
+      success: true,
+      message: `Account ${user.username} unlocked`
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (users:assign_roles)
+exports.changeUserRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Nobody can lock themselves out of role management
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditEvent.record(req, 'admin.user_role_change', {
+      target: user,
+      details: { from: previousRole, to: user.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${user.role}`,
+      data: {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        permissions: user.permissions
+      }
+    });
+  } catch (error) {
+    console.error('Change user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List accounts in their deletion grace period
+// @route   GET /api/admin/users/pending-deletion
+// @access  Private (users:manage)
+exports.getPendingDeletions = async (req, res) => {
+  try {
+    const users = await User.find({ isActive: false, deletionScheduledFor: { $ne: null } })
+      .select('username email firstName lastName deletionRequestedAt deletionScheduledFor deletionPostAction deletionReassignTo')
+      .populate('deletionReassignTo', 'username firstName lastName')
+      .populate('postCount')
+      .sort({ deletionScheduledFor: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get pending deletions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Choose what happens to a deleted account's posts when it is purged
+// @route   PUT /api/admin/users/:id/deletion
+// @access  Private (users:manage)
+exports.setDeletionPostAction = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await User.findOne({ _id: req.params.id, deletionScheduledFor: { $ne: null } })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending deletion for this user'
+      });
+    }
+
+    const { postAction, reassignTo } = req.body;
+    let target = null;
+
+    if (postAction === 'reassign') {
+      target = mongoose.Types.ObjectId.isValid(reassignTo)
+        ? await User.findOne({ _id: reassignTo, isActive: true })
+        : null;
+
+      if (!target || target._id.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Posts must be reassigned to another active user'
+        });
+      }
+    }
+
+    user.deletionPostAction = postAction;
+    user.deletionReassignTo = target ? target._id : null;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditEvent.record(req, 'admin.user_deletion_post_action', {
+      target: user,
+      details: { postAction, reassignTo: user.deletionReassignTo }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: target
+        ? `Posts will be reassigned to ${target.username}`
+        : 'Posts will be deleted with the account',
+      data: {
+        id: user._id,
+        deletionScheduledFor: user.deletionScheduledFor,
+        deletionPostAction: user.deletionPostAction,
+        deletionReassignTo: user.deletionReassignTo
+      }
+    });
+  } catch (error) {
+    console.error('Set deletion post action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating deletion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Query the security audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:view)
+exports.getAuditEvents = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, outcome, actor, target, user, ip, from, to, page, limit } = req.query;
+
+    const query = {};
+
+    if (action) {
+      // "auth." matches every auth event
+      query.action = action.endsWith('.')
+        ? new RegExp(`^${escapeRegex(action)}`)
+        : action;
+    }
+    if (outcome) {
+      query.outcome = outcome;
+    }
+    if (actor) {
+      query.actor = actor;
+    }
+    if (target) {
+      query.target = target;
+    }
+    if (user) {
+      query.$or = [{ actor: user }, { target: user }];
+    }
+    if (ip) {
+      query.ip = ip;
+    }
+    if (from || to) {
+      query.createdAt = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+
+    const result = await paginate(AuditEvent, query, {
+      page,
+      limit,
+      sort: { createdAt: -1 },
+      populate: [
+        { path: 'actor', select: 'username email role' },
+        { path: 'target', select: 'username email role' }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List invitation codes
+// @route   GET /api/admin/invitations
+// @access  Private (users:manage)
+exports.getInvitations = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    const now = new Date();
+
+    const query = status === 'usable'
+      ? { revokedAt: null, expiresAt: { $gt: now }, $expr: { $lt: ['$uses', '$maxUses'] } }
+      : {};
+
+    const result = await paginate(Invitation, query, {
+      page,
+      limit,
+      sort: { createdAt: -1 },
+      populate: [
+        { path: 'createdBy', select: 'username' },
+        { path: 'usedBy.user', select: 'username email' }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      registrationMode: getRegistrationMode(),
+      ...result
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create an invitation code
+// @route   POST /api/admin/invitations
+// @access  Private (users:manage; users:assign_roles for roles other than user)
+exports.createInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role = 'user', maxUses = 1, expiresInDays = 7, note } = req.body;
+
+    // Pre-assigning a role is a role assignment
+    if (role !== 'user' && !req.user.hasPermission(PERMISSIONS.USERS_ASSIGN_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to invite users with this role',
+        missingPermissions: [PERMISSIONS.USERS_ASSIGN_ROLES]
+      });
+    }
+
+    const { invitation, code } = await Invitation.issue(req.user._id, {
+      role,
+      maxUses,
+      expiresInDays,
+      note
+    });
+
+    await AuditEvent.record(req, 'admin.invitation_create', {
+      target: null,
+      details: { invitation: invitation._id, role, maxUses, expiresAt: invitation.expiresAt }
+    });
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created. Copy the code now, it will not be shown again.',
+      data: {
+        ...invitation.toJSON(),
+        code,
+        inviteUrl: `${clientUrl}/register?invite=${encodeURIComponent(code)}`
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke an invitation code
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private (users:manage)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Invitation.findOne({ _id: req.params.id, revokedAt: null })
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await invitation.revoke();
+
+    await AuditEvent.record(req, 'admin.invitation_revoke', {
+      target: null,
+      details: { invitation: invitation._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,33 +1,61 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const ApiToken = require('../models/ApiToken');
+const DataExport = require('../models/DataExport');
+const AuditEvent = require('../models/AuditEvent');
+const Invitation = require('../models/Invitation');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 const { validationResult } = require('express-validator');
+const { sendEmail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const totp = require('../utils/totp');
+const oauth = require('../utils/oauth');
+const dataExport = require('../utils/dataExport');
+const storage = require('../utils/storage');
+const { createAvatarVariants } = require('../utils/images');
+const { getProvider, listProviders } = require('../config/oauth');
+const { getRegistrationMode } = require('../config/registration');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Auth cookie options; the refresh cookie is only sent to the auth routes
+const authCookieOptions = (extra = {}) => ({
+  expires: new Date(
+    Date.now() + (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7) * 24 * 60 * 60 * 1000
+  ),
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  ...extra
+});
+
+// Clear access and refresh token cookies
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.cookie('refreshToken', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+    path: '/api/auth'
   });
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = user.getSignedJwtToken();
-
-  const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+// Send access and refresh tokens for an existing session
+const sendSessionResponse = (user, session, refreshToken, statusCode, message, res) => {
+  const token = user.getSignedJwtToken(session._id);
 
   res.status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', token, authCookieOptions())
+    .cookie('refreshToken', refreshToken, authCookieOptions({ path: '/api/auth' }))
     .json({
       success: true,
-      message: statusCode === 201 ? 'User registered successfully' : 'Login successful',
+      message,
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -37,12 +65,209 @@ const sendTokenResponse = (user, statusCode, res) => {
         fullName: user.fullName,
         bio: user.bio,
         avatar: user.avatar,
+        avatarVariants: user.avatarVariants,
         role: user.role,
+        permissions: user.permissions,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
+        twoFactorEnabled: user.twoFactorEnabled,
         createdAt: user.createdAt
       }
     });
 };
 
+// Device details recorded on the session
+const getClientDetails = (req) => ({
+  userAgent: req.get('User-Agent') || '',
+  ip: req.ip
+});
+
+// Start a new session and send token response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, getClientDetails(req));
+
+  sendSessionResponse(
+    user,
+    session,
+    refreshToken,
+    statusCode,
+    statusCode === 201 ? 'User registered successfully' : 'Login successful',
+    res
+  );
+};
+
+// Read the refresh token from the body or the refresh cookie
+const getRefreshToken = (req) => {
+  if (req.body && req.body.refreshToken) {
+    return req.body.refreshToken;
+  }
+
+  if (req.cookies && req.cookies.refreshToken && req.cookies.refreshToken !== 'none') {
+    return req.cookies.refreshToken;
+  }
+
+  return null;
+};
+
+// Reject a login attempt blocked by brute-force protection
+const sendLoginBlockedResponse = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+
+  if (block.locked) {
+    return res.status(423).json({
+      success: false,
+      code: 'ACCOUNT_LOCKED',
+      message: `Too many failed login attempts. Account locked, try again in ${Math.ceil(block.retryAfter / 60)} minute(s).`,
+      retryAfter: block.retryAfter
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    code: 'LOGIN_THROTTLED',
+    message: `Too many failed login attempts. Please wait ${block.retryAfter} second(s) before trying again.`,
+    retryAfter: block.retryAfter
+  });
+};
+
+// Finish a first-factor login: issue a 2FA challenge or start a session
+const completeLogin = async (user, req, res, method = 'password') => {
+  // Second factor required: hand back a short-lived challenge instead of tokens
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      message: 'Enter the code from your authenticator app',
+      challengeToken: jwt.sign(
+        { id: user._id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+      )
+    });
+  }
+
+  await LoginThrottle.reset(LoginThrottle.accountKey(user.email));
+
+  await AuditEvent.record(req, 'auth.login', {
+    actor: user,
+    details: { method, ...(user.deletionScheduledFor && { cancelledDeletion: true }) }
+  });
+
+  // Logging in during the grace period cancels account deletion
+  user.cancelDeletion();
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await sendTokenResponse(user, 200, req, res);
+};
+
+// Redirect the browser back to the client app
+const redirectToClient = (res, path) =>
+  res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`);
+
+// Fit a provider-supplied value into the maxlength of a User field
+const fitToField = (field, value) => {
+  const [maxLength] = [].concat(User.schema.path(field).options.maxlength);
+  return String(value || '').trim().slice(0, maxLength);
+};
+
+// Error whose message is shown to the user on the client
+const exposedError = (message) => Object.assign(new Error(message), { expose: true });
+
+// Find, link or provision the user for an external identity. `linkUserId` is
+// the signed-in user who asked to connect the provider to their account.
+const findOrCreateOAuthUser = async (provider, profile, linkUserId = null) => {
+  let user = await User.findByIdentity(provider.name, profile.subject);
+
+  if (linkUserId) {
+    if (user && !user._id.equals(linkUserId)) {
+      throw exposedError(`This ${provider.label} account is already connected to another user.`);
+    }
+    if (user) {
+      return user;
+    }
+
+    user = await User.findById(linkUserId);
+    if (!user || !user.isActive) {
+      throw exposedError('Your session has expired. Please log in and try again.');
+    }
+
+    user.identities.push({
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email && profile.email.toLowerCase()
+    });
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
+
+  if (user) {
+    return user;
+  }
+
+  if (!profile.email) {
+    throw exposedError('Your account did not share an email address');
+  }
+
+  const email = profile.email.toLowerCase();
+
+  // Never attach a provider to an existing account on the strength of a
+  // matching email; the owner connects it while logged in
+  if (await User.exists({ email })) {
+    throw exposedError(
+      `An account with this email already exists. Log in with your password, then connect ${provider.label} from your profile.`
+    );
+  }
+
+  // External login can only create accounts while registration is open
+  if (getRegistrationMode() !== 'open') {
+    throw exposedError('No account exists for this email, and registration is by invitation only.');
+  }
+
+  const username = await User.generateUniqueUsername(profile.username || email);
+
+  user = await User.create({
+    username,
+    email,
+    // Random password; the user can set one through the reset flow
+    password: crypto.randomBytes(32).toString('hex'),
+    firstName: fitToField('firstName', profile.firstName) || username,
+    lastName: fitToField('lastName', profile.lastName) || 'User',
+    avatar: profile.avatar,
+    emailVerified: profile.emailVerified,
+    identities: [{ provider: provider.name, subject: profile.subject, email }]
+  });
+
+  if (!user.emailVerified) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+  }
+
+  return user;
+};
+
+// Generate a verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email/${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    ...emailTemplates.emailVerification({
+      user,
+      verifyUrl,
+      expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+    })
+  });
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -58,7 +283,23 @@ exports.register = async (req, res, next) => {
       });
     }
 
-    const { username, email, password, firstName, lastName, bio } = req.body;
+    const { username, email, password, firstName, lastName, bio, inviteCode } = req.body;
+
+    const mode = getRegistrationMode();
+
+    if (mode === 'closed') {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is closed'
+      });
+    }
+
+    if (mode === 'invite-only' && !inviteCode) {
+      return res.status(403).json({
+        success: false,
+        message: 'An invitation code is required to register'
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -73,17 +314,53 @@ exports.register = async (req, res, next) => {
       });
     }
 
+    // Take a use of the invitation before creating the account, so concurrent
+    // sign-ups cannot exceed its limit
+    const invitation = inviteCode ? await Invitation.reserve(inviteCode) : null;
+
+    if (inviteCode && !invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation code is invalid, expired or already used'
+      });
+    }
+
     // Create user
-    const user = await User.create({
-      username,
-      email,
-      password,
-      firstName,
-      lastName,
-      bio
+    let user;
+    try {
+      user = await User.create({
+        username,
+        email,
+        password,
+        firstName,
+        lastName,
+        bio,
+        ...(invitation && { role: invitation.role })
+      });
+    } catch (error) {
+      if (invitation) {
+        await invitation.release();
+      }
+      throw error;
+    }
+
+    if (invitation) {
+      await invitation.recordUse(user._id);
+    }
+
+    await AuditEvent.record(req, 'auth.register', {
+      actor: user,
+      details: invitation ? { invitation: invitation._id, role: invitation.role } : {}
     });
 
-    sendTokenResponse(user, 201, res);
+    // A failed email shouldn't fail registration; the user can resend it
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({
@@ -111,21 +388,33 @@ exports.login = async (req, res, next) => {
 
     const { email, password } = req.body;
 
+    // Brute-force protection, per account and per IP. The attempt counts as a
+    // failure until the password checks out.
+    const throttleKeys = [LoginThrottle.accountKey(email), LoginThrottle.ipKey(req.ip)];
+    const block = await LoginThrottle.reserve(throttleKeys);
+
+    if (block) {
+      await AuditEvent.record(req, 'auth.login_failed', {
+        actor: null,
+        outcome: 'failure',
+        details: { email, reason: block.locked ? 'locked' : 'throttled' }
+      });
+      return sendLoginBlockedResponse(res, block);
+    }
+
     // Find user by email and include password
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+      await LoginThrottle.recordFailure(throttleKeys);
+      await AuditEvent.record(req, 'auth.login_failed', {
+        actor: null,
+        outcome: 'failure',
+        details: { email, reason: 'unknown_email' }
       });
-    }
-
-    // Check if user is active
-    if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Account has been deactivated. Please contact support.'
+        message: 'Invalid credentials'
       });
     }
 
@@ -133,17 +422,38 @@ exports.login = async (req, res, next) => {
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await LoginThrottle.recordFailure(throttleKeys);
+      await AuditEvent.record(req, 'auth.login_failed', {
+        actor: null,
+        target: user,
+        outcome: 'failure',
+        details: { reason: 'invalid_password' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    // Check if user is active (or pending deletion, which logging in cancels).
+    // Only someone with the password learns that the account is deactivated,
+    // and the attempt still counts towards the lockout.
+    if (!user.canLogIn) {
+      await LoginThrottle.recordFailure(throttleKeys);
+      await AuditEvent.record(req, 'auth.login_failed', {
+        actor: null,
+        target: user,
+        outcome: 'failure',
+        details: { reason: 'deactivated' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated. Please contact support.'
+      });
+    }
 
-    sendTokenResponse(user, 200, res);
+    await LoginThrottle.release(throttleKeys);
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -154,13 +464,105 @@ exports.login = async (req, res, next) => {
   }
 };
 
+// @desc    Get the registration mode, and check an invitation code if given
+// @route   GET /api/auth/registration
+// @access  Public
+exports.getRegistrationStatus = async (req, res, next) => {
+  try {
+    const mode = getRegistrationMode();
+    const { invite } = req.query;
+
+    let invitation;
+    if (invite && mode !== 'closed') {
+      const found = await Invitation.findUsable(invite);
+      invitation = found
+        ? { valid: true, role: found.role, expiresAt: found.expiresAt }
+        : { valid: false };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        mode,
+        ...(invitation && { invitation })
+      }
+    });
+  } catch (error) {
+    console.error('Get registration status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await Session.rotate(refreshToken);
+
+    if (!result) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or has expired'
+      });
+    }
+
+    if (result.reused) {
+      console.warn(`Refresh token reuse detected, session ${result.session._id} revoked`);
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (!user || !user.isActive) {
+      await result.session.revoke('account_inactive');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated. Please contact support.'
+      });
+    }
+
+    await result.session.touch(getClientDetails(req));
+
+    sendSessionResponse(user, result.session, result.refreshToken, 200, 'Token refreshed', res);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
 exports.getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id)
-      .populate('postCount');
+      .populate('postCount')
+      .populate('followerCount')
+      .populate('followingCount');
 
     if (!user) {
       return res.status(404).json({
@@ -215,20 +617,29 @@ exports.updateProfile = async (req, res, next) => {
       }
     }
 
+    const changes = {
+      ...(username && { username }),
+      ...(firstName && { firstName }),
+      ...(lastName && { lastName }),
+      ...(bio !== undefined && { bio })
+    };
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      {
-        ...(username && { username }),
-        ...(firstName && { firstName }),
-        ...(lastName && { lastName }),
-        ...(bio !== undefined && { bio })
-      },
+      changes,
       {
         new: true,
         runValidators: true
       }
     );
 
+    await AuditEvent.record(req, 'auth.profile_update', {
+      details: {
+        fields: Object.keys(changes),
+        ...(username && username !== req.user.username && { previousUsername: req.user.username })
+      }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -244,6 +655,118 @@ exports.updateProfile = async (req, res, next) => {
   }
 };
 
+// Variant names by size, as stored on User.avatarVariants
+const AVATAR_VARIANT_NAMES = { 64: 'small', 128: 'medium', 256: 'large' };
+
+// @desc    Upload a new avatar (cropped square, stored in several sizes)
+// @route   PUT /api/auth/avatar
+// @access  Private
+exports.updateAvatar = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { cropX, cropY, cropSize } = req.body;
+    const cropValues = [cropX, cropY, cropSize].filter(value => value !== undefined);
+
+    if (cropValues.length > 0 && cropValues.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'cropX, cropY and cropSize must be provided together'
+      });
+    }
+
+    let variants;
+    try {
+      variants = await createAvatarVariants(
+        req.file.buffer,
+        cropValues.length === 3 ? { x: cropX, y: cropY, size: cropSize } : null
+      );
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const user = await User.findById(req.user.id).select('+avatarStorageKeys');
+    const previousKeys = user.avatarStorageKeys || [];
+
+    // New file names on every upload so caches never serve a stale avatar
+    const stamp = Date.now();
+    const stored = await Promise.all(variants.map(async ({ size, buffer }) => {
+      const key = `avatars/${user._id}/${stamp}-${size}.webp`;
+      return { size, key, url: await storage.putFile(key, buffer, 'image/webp') };
+    }));
+
+    user.avatarVariants = {};
+    stored.forEach(({ size, url }) => {
+      user.avatarVariants[AVATAR_VARIANT_NAMES[size]] = url;
+    });
+    user.avatar = user.avatarVariants.large;
+    user.avatarStorageKeys = stored.map(({ key }) => key);
+    await user.save({ validateBeforeSave: false });
+
+    storage.removeFiles(previousKeys).catch((error) => {
+      console.error('Remove old avatar error:', error);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: {
+        avatar: user.avatar,
+        avatarVariants: user.avatarVariants
+      }
+    });
+  } catch (error) {
+    console.error('Update avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating avatar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Remove the current avatar
+// @route   DELETE /api/auth/avatar
+// @access  Private
+exports.deleteAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+avatarStorageKeys');
+
+    await storage.removeFiles(user.avatarStorageKeys || []);
+
+    user.avatar = null;
+    user.avatarVariants = undefined;
+    user.avatarStorageKeys = [];
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing avatar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Change password
 // @route   PUT /api/auth/password
 // @access  Private
@@ -261,8 +784,8 @@ exports.changePassword = async (req, res, next) => {
 
     const { currentPassword, newPassword } = req.body;
 
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    // Get user with password and recent password hashes
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     // Check current password
     const isMatch = await user.matchPassword(currentPassword);
@@ -274,10 +797,22 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from your current and recent passwords'
+      });
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other session
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession._id);
+
+    await AuditEvent.record(req, 'auth.password_change');
+
     res.status(200).json({
       success: true,
       message: 'Password updated successfully'
@@ -292,15 +827,23 @@ exports.changePassword = async (req, res, next) => {
   }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Logout user / revoke session / clear cookies
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Public
 exports.logout = async (req, res, next) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    // Revoke the session server-side so its tokens stop working
+    const refreshToken = getRefreshToken(req);
+
+    if (refreshToken) {
+      const session = await Session.findByRefreshToken(refreshToken);
+      if (session) {
+        await session.revoke('logout');
+        await AuditEvent.record(req, 'auth.logout', { actor: session.user });
+      }
+    }
+
+    clearAuthCookies(res);
 
     res.status(200).json({
       success: true,
@@ -316,7 +859,7 @@ exports.logout = async (req, res, next) => {
   }
 };
 
-// @desc    Delete user account
+// @desc    Delete user account (after a grace period in which logging in cancels it)
 // @route   DELETE /api/auth/account
 // @access  Private
 exports.deleteAccount = async (req, res, next) => {
@@ -336,18 +879,35 @@ exports.deleteAccount = async (req, res, next) => {
       });
     }
 
-    // Soft delete by deactivating account
-    await user.deactivate();
+    // Deactivate now, purge once the grace period ends
+    await user.scheduleDeletion();
+    await Session.revokeAllForUser(user._id, 'account_deleted');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
 
-    // Clear cookie
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
+    await AuditEvent.record(req, 'auth.account_deactivate', {
+      details: { deletionScheduledFor: user.deletionScheduledFor }
     });
 
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.accountDeletionScheduled({
+          user,
+          deletionDate: user.deletionScheduledFor
+        })
+      });
+    } catch (emailError) {
+      console.error('Account deletion email error:', emailError);
+    }
+
+    clearAuthCookies(res);
+
     res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      message: `Your account will be permanently deleted on ${user.deletionScheduledFor.toDateString()}. Log in before then to cancel.`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -358,3 +918,1256 @@ exports.deleteAccount = async (req, res, next) => {
     });
   }
 };
+
+// @desc    Start an email address change (confirmed from the new address)
+// @route   POST /api/auth/email
+// @access  Private
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isMatch = await user.matchPassword(password);
+
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    // Same uniqueness check as registration
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const changeToken = user.getEmailChangeToken(email);
+    await user.save({ validateBeforeSave: false });
+
+    const confirmUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/confirm-email/${changeToken}`;
+
+    try {
+      await sendEmail({
+        to: email,
+        ...emailTemplates.emailChangeConfirmation({
+          user,
+          newEmail: email,
+          confirmUrl,
+          expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+        })
+      });
+    } catch (emailError) {
+      console.error('Email change confirmation error:', emailError);
+
+      user.clearEmailChange();
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Confirmation email could not be sent. Please try again later.'
+      });
+    }
+
+    await AuditEvent.record(req, 'auth.email_change_request', {
+      details: { from: user.email, to: email }
+    });
+
+    // The notice is informational; don't fail the request over it
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.emailChangeNotice({ user, newEmail: email })
+      });
+    } catch (emailError) {
+      console.error('Email change notice error:', emailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `We sent a confirmation link to ${email}. Your email will change once you confirm it.`,
+      data: {
+        pendingEmail: user.pendingEmail
+      }
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Confirm an email address change
+// @route   GET /api/auth/email/confirm/:token
+// @access  Public
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailChangeToken: User.hashToken(req.params.token),
+      emailChangeExpire: { $gt: Date.now() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation link is invalid or has expired'
+      });
+    }
+
+    // The address may have been taken since the change was requested
+    const existingUser = await User.findOne({ email: user.pendingEmail });
+
+    if (existingUser) {
+      user.clearEmailChange();
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const previousEmail = user.email;
+
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    user.clearEmailChange();
+    await user.save({ validateBeforeSave: false });
+
+    // Lockout counters are keyed by address
+    await LoginThrottle.reset(LoginThrottle.accountKey(previousEmail));
+
+    await AuditEvent.record(req, 'auth.email_change', {
+      actor: user,
+      details: { from: previousEmail, to: user.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address changed successfully',
+      data: {
+        email: user.email
+      }
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming email change',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Cancel a pending email address change
+// @route   DELETE /api/auth/email
+// @access  Private
+exports.cancelEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email change is pending'
+      });
+    }
+
+    const pendingEmail = user.pendingEmail;
+
+    user.clearEmailChange();
+    await user.save({ validateBeforeSave: false });
+
+    await AuditEvent.record(req, 'auth.email_change_cancel', {
+      details: { to: pendingEmail }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling email change',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.passwordReset({
+          user,
+          resetUrl,
+          expiresInMinutes: parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10
+        })
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Password reset email could not be sent'
+      });
+    }
+
+    await AuditEvent.record(req, 'auth.password_reset_request', { actor: null, target: user });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Reset password using an emailed token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    }).select('+password +passwordHistory');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    if (await user.isPasswordReused(req.body.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from your current and recent passwords'
+      });
+    }
+
+    // Set new password and burn the token so it can only be used once
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    await AuditEvent.record(req, 'auth.password_reset', { actor: user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. You can now log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Throttle resends per account
+    const interval = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const waitMs = lastSent + interval - Date.now();
+
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List security events on the current user's account
+// @route   GET /api/auth/security-events
+// @access  Private
+exports.getSecurityEvents = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { target: req.user._id };
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: events.map(event => ({
+        id: event._id,
+        action: event.action,
+        outcome: event.outcome,
+        ip: event.ip,
+        userAgent: event.userAgent,
+        details: event.details,
+        // Taken by someone else, i.e. an administrator
+        byAdmin: Boolean(event.actor && !event.actor.equals(req.user._id)),
+        createdAt: event.createdAt
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEvents: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    if (session._id.equals(req.authSession._id)) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Log out everywhere except the current session
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(
+      req.user.id,
+      'revoked_by_user',
+      req.authSession._id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Complete login with a TOTP or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+    if (!user || !user.canLogIn || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    // Codes count towards the same lockout as passwords
+    const throttleKeys = [LoginThrottle.accountKey(user.email), LoginThrottle.ipKey(req.ip)];
+    const block = await LoginThrottle.reserve(throttleKeys);
+
+    if (block) {
+      return sendLoginBlockedResponse(res, block);
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      await LoginThrottle.recordFailure(throttleKeys);
+      await AuditEvent.record(req, 'auth.login_failed', {
+        actor: null,
+        target: user,
+        outcome: 'failure',
+        details: { reason: 'invalid_two_factor_code' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await LoginThrottle.release(throttleKeys);
+    await LoginThrottle.reset(LoginThrottle.accountKey(user.email));
+
+    await AuditEvent.record(req, 'auth.login', {
+      actor: user,
+      details: { method: 'password', twoFactor: true }
+    });
+
+    user.cancelDeletion();
+
+    // Update last login (also persists the consumed code)
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Start two-factor enrollment (returns secret, otpauth URI and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Pending secret; only takes effect once confirmed via /2fa/enable
+    user.twoFactorSecret = totp.generateSecret();
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUri = totp.buildOtpauthUri({
+      secret: user.twoFactorSecret,
+      accountName: user.email,
+      issuer: process.env.APP_NAME || 'MERN Blog'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret: user.twoFactorSecret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Confirm enrollment with a code and enable two-factor authentication
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const step = user.twoFactorSecret ? totp.verify(req.body.code, user.twoFactorSecret) : null;
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    const backupCodes = user.generateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    await AuditEvent.record(req, 'auth.two_factor_enable');
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isMatch = await user.matchPassword(req.body.password);
+
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = undefined;
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditEvent.record(req, 'auth.two_factor_disable');
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Replace backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    await AuditEvent.record(req, 'auth.two_factor_backup_codes');
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List enabled external login providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+exports.getOAuthProviders = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listProviders()
+  });
+};
+
+// @desc    Redirect to an external provider's login page
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+exports.startOAuth = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+
+    // Connecting the provider to a signed-in account (token from POST .../link)
+    let linkUser = null;
+    if (req.query.link) {
+      try {
+        const decoded = jwt.verify(String(req.query.link), process.env.JWT_SECRET);
+        if (decoded.purpose === 'oauth_link' && decoded.provider === provider.name) {
+          linkUser = decoded.id;
+        }
+      } catch (error) {
+        linkUser = null;
+      }
+
+      if (!linkUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Link request is invalid or has expired'
+        });
+      }
+    }
+
+    const { url, state } = await oauth.createAuthorizationRequest(provider);
+
+    // State, nonce and PKCE verifier survive the round trip in a signed cookie
+    const cookieState = linkUser ? { ...state, linkUser } : state;
+    res.cookie('oauth_state', jwt.sign(cookieState, process.env.JWT_SECRET, { expiresIn: '10m' }), {
+      maxAge: 10 * 60 * 1000,
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/oauth'
+    });
+
+    res.redirect(url);
+  } catch (error) {
+    console.error('Start OAuth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting external login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Handle the provider callback and hand a one-time login code to the client
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+exports.oauthCallback = async (req, res, next) => {
+  // Linking started from the profile page, so errors are shown there
+  let returnPath = '/login';
+  const fail = (message) =>
+    redirectToClient(res, `${returnPath}?oauthError=${encodeURIComponent(message)}`);
+
+  try {
+    const provider = getProvider(req.params.provider);
+    const { code, state, error } = req.query;
+
+    res.clearCookie('oauth_state', { path: '/api/auth/oauth' });
+
+    if (!provider) {
+      return fail('Login provider not found');
+    }
+    if (error) {
+      return fail('External login was cancelled');
+    }
+
+    let savedState;
+    try {
+      savedState = jwt.verify(req.cookies.oauth_state, process.env.JWT_SECRET);
+    } catch (err) {
+      savedState = null;
+    }
+
+    if (savedState && savedState.linkUser) {
+      returnPath = '/profile';
+    }
+
+    if (!savedState || savedState.provider !== provider.name || savedState.state !== state || !code) {
+      return fail('External login session expired. Please try again.');
+    }
+
+    const profile = await oauth.completeAuthorization(provider, code, savedState);
+    const user = await findOrCreateOAuthUser(provider, profile, savedState.linkUser);
+
+    if (savedState.linkUser) {
+      await AuditEvent.record(req, 'auth.oauth_link', {
+        actor: user,
+        details: { provider: provider.name }
+      });
+      return redirectToClient(res, `/profile?oauthLinked=${encodeURIComponent(provider.name)}`);
+    }
+
+    if (!user.canLogIn) {
+      return fail('Account has been deactivated. Please contact support.');
+    }
+
+    const loginCode = user.getOAuthLoginCode();
+    await user.save({ validateBeforeSave: false });
+
+    // Fragment, so the code never reaches server logs
+    redirectToClient(res, `/oauth/callback#code=${loginCode}`);
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    fail(error.expose ? error.message : 'External login failed');
+  }
+};
+
+// @desc    Start connecting an external provider to the current account
+//          (returns a short-lived token for GET /api/auth/oauth/:provider?link=)
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+exports.startOAuthLink = (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Login provider not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      linkToken: jwt.sign(
+        { id: req.user._id, provider: provider.name, purpose: 'oauth_link' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      )
+    }
+  });
+};
+
+// @desc    Exchange a one-time login code for a session
+// @route   POST /api/auth/oauth/exchange
+// @access  Public
+exports.exchangeOAuthCode = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = code && await User.findOne({
+      oauthLoginCode: User.hashToken(String(code)),
+      oauthLoginExpire: { $gt: Date.now() }
+    });
+
+    if (!user || !user.canLogIn) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login code is invalid or has expired'
+      });
+    }
+
+    // Single use
+    user.oauthLoginCode = undefined;
+    user.oauthLoginExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await completeLogin(user, req, res, 'oauth');
+  } catch (error) {
+    console.error('OAuth exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during external login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List the current user's personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+exports.getApiTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user.id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tokens',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create a personal access token (the raw token is only returned here)
+// @route   POST /api/auth/tokens
+// @access  Private
+exports.createApiToken = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays = 30 } = req.body;
+
+    const { apiToken, rawToken } = await ApiToken.issue(req.user.id, {
+      name,
+      scopes,
+      expiresInDays
+    });
+
+    await AuditEvent.record(req, 'auth.api_token_create', {
+      details: { tokenId: apiToken._id, name, scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now, it will not be shown again.',
+      data: {
+        ...apiToken.toJSON(),
+        token: rawToken
+      }
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+exports.revokeApiToken = async (req, res, next) => {
+  try {
+    const apiToken = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ApiToken.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null })
+      : null;
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    await apiToken.revoke();
+
+    await AuditEvent.record(req, 'auth.api_token_revoke', {
+      details: { tokenId: apiToken._id, name: apiToken.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Export status, with a download link once ready
+const serializeExport = (userExport) => ({
+  ...userExport.toJSON(),
+  downloadUrl: userExport.isDownloadable ? dataExport.getDownloadUrl(userExport) : null
+});
+
+// @desc    Request an archive of all personal data
+// @route   POST /api/auth/export
+// @access  Private
+exports.requestDataExport = async (req, res, next) => {
+  try {
+    // Only one export is built at a time per user
+    const inProgress = await DataExport.findInProgress(req.user.id);
+    if (inProgress) {
+      return res.status(202).json({
+        success: true,
+        message: 'Your export is already being prepared',
+        data: serializeExport(inProgress)
+      });
+    }
+
+    const userExport = await DataExport.create({
+      user: req.user.id,
+      expiresAt: new Date(Date.now() + (parseInt(process.env.EXPORT_EXPIRE_HOURS) || 48) * 60 * 60 * 1000)
+    });
+
+    // Build in the background; the user is emailed a link when it is ready
+    setImmediate(() => {
+      dataExport.processExport(userExport._id).catch((error) => {
+        console.error('Data export error:', error);
+      });
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      data: serializeExport(userExport)
+    });
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting export',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List the current user's data exports
+// @route   GET /api/auth/export
+// @access  Private
+exports.getDataExports = async (req, res, next) => {
+  try {
+    const userExports = await DataExport.find({
+      user: req.user.id,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: userExports.map(serializeExport)
+    });
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exports',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Download a data export archive
+// @route   GET /api/auth/export/:id/download?token=
+// @access  Public (signed download token)
+exports.downloadDataExport = async (req, res, next) => {
+  try {
+    let exportId;
+    try {
+      exportId = dataExport.verifyDownloadToken(String(req.query.token || ''));
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    if (exportId !== req.params.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const userExport = await DataExport.findById(exportId).select('+filePath');
+
+    if (!userExport || !userExport.isDownloadable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found or no longer available'
+      });
+    }
+
+    const date = userExport.completedAt.toISOString().slice(0, 10);
+    res.download(userExport.filePath, `data-export-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download data export error:', error);
+        res.status(404).json({
+          success: false,
+          message: 'Export not found or no longer available'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading export',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,339 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { postReader, canViewPost } = require('../utils/postVisibility');
+
+// Load the post a comment listing belongs to, if the reader may see it
+const findVisiblePost = async (req, postId) => {
+  const post = await Post.findById(postId).select('status author');
+  return post && canViewPost(postReader(req), post) ? post : null;
+};
+
+// @desc    Get approved top-level comments for a post
+// @route   GET /api/posts/:postId/comments
+// @access  Public (comments on unpublished posts only for users who may edit them)
+exports.getComments = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const { postId } = req.params;
+
+    // Comments are only listed per post (GET /api/comments has no postId)
+    if (!postId || !mongoose.isObjectIdOrHexString(postId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid post ID is required'
+      });
+    }
+
+    if (!(await findVisiblePost(req, postId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const comments = await Comment.findByPost(req.params.postId, { page, limit })
+      .populate('replyCount');
+
+    const total = await Comment.countDocuments({
+      post: req.params.postId,
+      isApproved: true,
+      parentComment: null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: comments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalComments: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get replies to a comment
+// @route   GET /api/comments/:id/replies
+// @access  Public (replies on unpublished posts only for users who may edit them)
+exports.getReplies = async (req, res) => {
+  try {
+    const comment = mongoose.isObjectIdOrHexString(req.params.id)
+      ? await Comment.findById(req.params.id).select('post')
+      : null;
+
+    if (!comment || !(await findVisiblePost(req, comment.post))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const replies = await Comment.findReplies(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: replies
+    });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching replies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Add comment to a post
+// @route   POST /api/posts/:postId/comments
+// @access  Private (verified email)
+exports.createComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.postId);
+
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!post.allowComments) {
+      return res.status(403).json({
+        success: false,
+        message: 'Comments are disabled for this post'
+      });
+    }
+
+    const { content, parentComment } = req.body;
+
+    // Replies must belong to the same post
+    if (parentComment) {
+      const parent = await Comment.findById(parentComment);
+      if (!parent || parent.post.toString() !== post._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent comment'
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      content,
+      post: post._id,
+      author: req.user.id,
+      parentComment: parentComment || null
+    });
+
+    await comment.populate('author', 'username firstName lastName avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update comment
+// @route   PUT /api/comments/:id
+// @access  Private (owner or comments:moderate)
+exports.updateComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded and ownership-checked by the checkOwnership middleware
+    const comment = req.resource;
+
+    comment.content = req.body.content;
+    await comment.save();
+    await comment.populate('author', 'username firstName lastName avatar');
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete comment
+// @route   DELETE /api/comments/:id
+// @access  Private (owner or comments:moderate)
+exports.deleteComment = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the checkOwnership middleware
+    const comment = req.resource;
+
+    // Replies go with the comment they answer
+    await Comment.deleteMany({ parentComment: comment._id });
+    await comment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Like/Unlike comment
+// @route   POST /api/comments/:id/like
+// @access  Private
+exports.toggleCommentLike = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const isLiked = comment.isLikedBy(req.user.id);
+    await comment.toggleLike(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: isLiked ? 'Comment unliked' : 'Comment liked',
+      data: {
+        isLiked: !isLiked,
+        likeCount: comment.likeCount
+      }
+    });
+  } catch (error) {
+    console.error('Toggle comment like error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while toggling like',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get comments awaiting moderation
+// @route   GET /api/comments/moderation
+// @access  Private (comments:moderate)
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const comments = await Comment.find({ isApproved: false })
+      .populate('author', 'username firstName lastName avatar')
+      .populate('post', 'title slug')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Comment.countDocuments({ isApproved: false });
+
+    res.status(200).json({
+      success: true,
+      data: comments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalComments: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Shared handler for approve / reject
+const moderateComment = (action, message) => async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    await comment[action]();
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: comment
+    });
+  } catch (error) {
+    console.error(`${action} comment error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Approve comment
+// @route   PUT /api/comments/:id/approve
+// @access  Private (comments:moderate)
+exports.approveComment = moderateComment('approve', 'Comment approved');
+
+// @desc    Reject (hide) comment
+// @route   PUT /api/comments/:id/reject
+// @access  Private (comments:moderate)
+exports.rejectComment = moderateComment('reject', 'Comment rejected');
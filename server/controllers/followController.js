@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+
+// Follow targets exposed by the API, mapped to their models
+const TARGET_TYPES = {
+  author: 'User',
+  category: 'Category'
+};
+
+// Find the followed author or category, or null if it doesn't exist
+const findTarget = (type, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return type === 'author'
+    ? User.findOne({ _id: id, isActive: true }).select('username firstName lastName avatar')
+    : Category.findById(id).select('name slug color');
+};
+
+// @desc    List the authors and categories the current user follows
+// @route   GET /api/follows
+// @access  Private
+exports.getFollowing = async (req, res) => {
+  try {
+    const follows = await Follow.find({ follower: req.user.id })
+      .populate('target')
+      .sort({ createdAt: -1 });
+
+    const toSummary = (follow) => follow.targetModel === 'User'
+      ? {
+        id: follow.target._id,
+        username: follow.target.username,
+        fullName: follow.target.fullName,
+        avatar: follow.target.avatar,
+        followedAt: follow.createdAt
+      }
+      : {
+        id: follow.target._id,
+        name: follow.target.name,
+        slug: follow.target.slug,
+        color: follow.target.color,
+        followedAt: follow.createdAt
+      };
+
+    // Targets deleted since they were followed are skipped
+    const active = follows.filter(follow => follow.target);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authors: active.filter(follow => follow.targetModel === 'User').map(toSummary),
+        categories: active.filter(follow => follow.targetModel === 'Category').map(toSummary)
+      }
+    });
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching follows',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Follow an author or category
+// @route   POST /api/follows
+// @access  Private
+exports.follow = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, id } = req.body;
+
+    if (type === 'author' && id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const target = await findTarget(type, id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `${type === 'author' ? 'Author' : 'Category'} not found`
+      });
+    }
+
+    await Follow.updateOne(
+      { follower: req.user.id, targetModel: TARGET_TYPES[type], target: target._id },
+      { $setOnInsert: { follower: req.user.id, targetModel: TARGET_TYPES[type], target: target._id } },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Following ${target.username || target.name}`,
+      data: { type, id: target._id, isFollowing: true }
+    });
+  } catch (error) {
+    console.error('Follow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while following',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Unfollow an author or category
+// @route   DELETE /api/follows/:type/:id
+// @access  Private
+exports.unfollow = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!TARGET_TYPES[type] || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow not found'
+      });
+    }
+
+    await Follow.deleteOne({ follower: req.user.id, targetModel: TARGET_TYPES[type], target: id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Unfollowed successfully',
+      data: { type, id, isFollowing: false }
+    });
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unfollowing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Recent posts from followed authors and categories
+// @route   GET /api/feed
+// @access  Private
+exports.getFeed = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const { authors, categories } = await Follow.getFollowedIds(req.user.id);
+    const isFallback = authors.length === 0 && categories.length === 0;
+
+    // Nothing followed yet: show the regular published ordering
+    const query = isFallback
+      ? { status: 'published' }
+      : {
+        status: 'published',
+        $or: [
+          { author: { $in: authors } },
+          { category: { $in: categories } }
+        ]
+      };
+
+    const postsQuery = isFallback
+      ? Post.findPublished()
+      : Post.find(query)
+        .populate('author', 'username firstName lastName avatar')
+        .populate('category', 'name slug')
+        .sort({ publishedAt: -1 });
+
+    const [posts, total] = await Promise.all([
+      postsQuery
+        .populate('commentCount')
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Post.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: posts,
+      isFallback,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalPosts: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,11 +1,52 @@
 const Post = require('../models/Post');
 const Category = require('../models/Category');
+const PostRevision = require('../models/PostRevision');
+const PostDraft = require('../models/PostDraft');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { isOwner } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { diffLines } = require('../utils/diff');
+const { RENDER_VERSION, renderMarkdown } = require('../utils/markdown');
+const { retryOnSlugConflict } = require('../utils/slug');
+const { postReader, canViewPost } = require('../utils/postVisibility');
+
+// Statuses that put a post live now or later; both need publish rights
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+// Check the publish/unpublish times of a post as it will be saved.
+// Returns an error message or null.
+const scheduleError = ({ status, publishAt, unpublishAt }) => {
+  const now = new Date();
+
+  if (status === 'scheduled' && (!publishAt || publishAt <= now)) {
+    return 'Scheduled posts need a publish time in the future';
+  }
+
+  if (unpublishAt && unpublishAt <= (status === 'scheduled' ? publishAt : now)) {
+    return 'Unpublish time must be after the post goes live';
+  }
+
+  return null;
+};
+
+// Formats post content can be returned in with ?format=. Markdown is always
+// included; html adds the stored sanitized render as contentHtml.
+const CONTENT_FORMATS = ['markdown', 'html'];
+
+// Fill in contentHtml for posts the render backfill hasn't reached yet
+const ensureHtml = (post) => {
+  if (post.contentRenderVersion !== RENDER_VERSION) {
+    const { html, toc } = renderMarkdown(post.content);
+    post.contentHtml = html;
+    post.toc = toc;
+  }
+  return post;
+};
 
 // @desc    Get all posts
 // @route   GET /api/posts
-// @access  Public
+// @access  Public (unpublished posts only for users who may edit them)
 exports.getAllPosts = async (req, res) => {
   try {
     const {
@@ -17,9 +58,34 @@ exports.getAllPosts = async (req, res) => {
       search,
       sortBy = 'publishedAt',
       sortOrder = 'desc',
-      featured
+      featured,
+      format = 'markdown'
     } = req.query;
 
+    if (!CONTENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${CONTENT_FORMATS.join(', ')}`
+      });
+    }
+
+    // Unpublished posts are listed only to those who may edit them: all of
+    // them with posts:edit_any, otherwise just the user's own
+    const reader = postReader(req);
+    const ownOnly = status !== 'published' &&
+      !(reader && reader.hasPermission(PERMISSIONS.POSTS_EDIT_ANY));
+
+    if (ownOnly && !(
+      reader &&
+      reader.hasPermission(PERMISSIONS.POSTS_EDIT_OWN) &&
+      (!author || author === reader.id)
+    )) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to list unpublished posts'
+      });
+    }
+
     // Build query object
     const query = { status };
 
@@ -31,6 +97,10 @@ exports.getAllPosts = async (req, res) => {
       query.author = author;
     }
 
+    if (ownOnly) {
+      query.author = reader._id;
+    }
+
     if (featured === 'true') {
       query.isFeatured = true;
     }
@@ -38,7 +108,7 @@ exports.getAllPosts = async (req, res) => {
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
+        { contentText: { $regex: search, $options: 'i' } },
         { excerpt: { $regex: search, $options: 'i' } }
       ];
     }
@@ -51,6 +121,7 @@ exports.getAllPosts = async (req, res) => {
       .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
+      .select(format === 'html' ? '+contentHtml' : {})
       .lean();
 
     // Get total count for pagination
@@ -58,7 +129,7 @@ exports.getAllPosts = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: posts,
+      data: format === 'html' ? posts.map(ensureHtml) : posts,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -79,21 +150,46 @@ exports.getAllPosts = async (req, res) => {
 
 // @desc    Get single post by ID or slug
 // @route   GET /api/posts/:identifier
-// @access  Public
+// @access  Public (unpublished posts only for users who may edit them)
 exports.getPost = async (req, res) => {
   try {
     const { identifier } = req.params;
-    
+    const { format = 'markdown' } = req.query;
+
+    if (!CONTENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${CONTENT_FORMATS.join(', ')}`
+      });
+    }
+
     // Check if identifier is ObjectId or slug
     const isObjectId = mongoose.Types.ObjectId.isValid(identifier);
-    const query = isObjectId ? { _id: identifier } : { slug: identifier };
+    // Slugs are stored lowercase
+    const slug = identifier.toLowerCase();
+    const query = isObjectId ? { _id: identifier } : { slug };
 
     const post = await Post.findOne(query)
       .populate('author', 'username firstName lastName avatar bio')
       .populate('category', 'name slug color description')
-      .populate('commentCount');
+      .populate('commentCount')
+      .select(format === 'html' ? '+contentHtml' : {});
+
+    // Old links keep working: a retired slug redirects to the current one,
+    // for readers who may see the post
+    if (!post && !isObjectId) {
+      const renamed = await Post.findOne({ previousSlugs: slug }).select('slug status author');
+
+      if (renamed && canViewPost(postReader(req), renamed)) {
+        const queryString = req.originalUrl.includes('?')
+          ? req.originalUrl.slice(req.originalUrl.indexOf('?'))
+          : '';
+        return res.redirect(301, `${req.baseUrl}/${encodeURIComponent(renamed.slug)}${queryString}`);
+      }
+    }
 
-    if (!post) {
+    // Drafts, scheduled and archived posts don't exist for other readers
+    if (!post || !canViewPost(postReader(req), post)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -105,7 +201,7 @@ exports.getPost = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: post
+      data: format === 'html' ? ensureHtml(post) : post
     });
   } catch (error) {
     console.error('Get post error:', error);
@@ -119,7 +215,7 @@ exports.getPost = async (req, res) => {
 
 // @desc    Create new post
 // @route   POST /api/posts
-// @access  Private
+// @access  Private (posts:create, posts:publish to publish)
 exports.createPost = async (req, res) => {
   try {
     // Check for validation errors
@@ -132,7 +228,36 @@ exports.createPost = async (req, res) => {
       });
     }
 
-    const { title, content, excerpt, category, tags, status, featuredImage, allowComments, seoMetadata } = req.body;
+    const {
+      title,
+      slug,
+      content,
+      excerpt,
+      category,
+      tags,
+      status,
+      featuredImage,
+      allowComments,
+      seoMetadata,
+      publishAt,
+      unpublishAt
+    } = req.body;
+
+    // Contributors can only submit drafts
+    if (LIVE_STATUSES.includes(status) && !req.user.hasPermission(PERMISSIONS.POSTS_PUBLISH)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish posts'
+      });
+    }
+
+    const invalidSchedule = scheduleError({ status, publishAt, unpublishAt });
+    if (invalidSchedule) {
+      return res.status(400).json({
+        success: false,
+        message: invalidSchedule
+      });
+    }
 
     // Verify category exists
     const categoryExists = await Category.findById(category);
@@ -144,8 +269,12 @@ exports.createPost = async (req, res) => {
     }
 
     // Create post
-    const post = await Post.create({
+    // The slug is checked for uniqueness before the insert, so a concurrent
+    // post with the same title can take it first
+    const post = await retryOnSlugConflict(() => Post.create({
       title,
+      // Generated from the title when not given
+      slug,
       content,
       excerpt,
       category,
@@ -154,8 +283,12 @@ exports.createPost = async (req, res) => {
       author: req.user.id,
       featuredImage,
       allowComments: allowComments !== false,
-      seoMetadata
-    });
+      seoMetadata,
+      publishAt: status === 'scheduled' ? publishAt : null,
+      unpublishAt: unpublishAt || null
+    }));
+
+    await PostRevision.record(post, req.user._id);
 
     // Populate the created post
     await post.populate('author', 'username firstName lastName avatar');
@@ -178,7 +311,7 @@ exports.createPost = async (req, res) => {
 
 // @desc    Update post
 // @route   PUT /api/posts/:id
-// @access  Private
+// @access  Private (posts:edit_own or posts:edit_any)
 exports.updatePost = async (req, res) => {
   try {
     // Check for validation errors
@@ -191,25 +324,60 @@ exports.updatePost = async (req, res) => {
       });
     }
 
-    const post = await Post.findById(req.params.id);
+    // Loaded and ownership-checked by the checkOwnership middleware
+    const post = req.resource;
 
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
+    const {
+      title,
+      slug,
+      content,
+      excerpt,
+      category,
+      tags,
+      status,
+      featuredImage,
+      allowComments,
+      seoMetadata,
+      publishAt,
+      unpublishAt
+    } = req.body;
+
+    const nextStatus = status || post.status;
+    const goingLive = LIVE_STATUSES.includes(status) && status !== post.status;
+    const rescheduling = publishAt !== undefined && nextStatus === 'scheduled';
+
+    // Publishing (now or on a schedule) is a separate permission from editing
+    if (goingLive || rescheduling) {
+      const permission = isOwner(req.user, post)
+        ? PERMISSIONS.POSTS_PUBLISH
+        : PERMISSIONS.POSTS_PUBLISH_ANY;
+
+      if (!req.user.hasPermission(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to publish this post'
+        });
+      }
     }
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
+    // An expiry that has already passed would archive the post again at once
+    const nextUnpublishAt = unpublishAt !== undefined
+      ? unpublishAt
+      : goingLive && post.unpublishAt && post.unpublishAt <= new Date() ? null : post.unpublishAt;
+    const nextPublishAt = publishAt !== undefined ? publishAt : post.publishAt;
+
+    const invalidSchedule = scheduleError({
+      status: nextStatus,
+      publishAt: nextPublishAt,
+      unpublishAt: nextUnpublishAt
+    });
+    if (invalidSchedule) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to update this post'
+        message: invalidSchedule
       });
     }
 
-    const { title, content, excerpt, category, tags, status, featuredImage, allowComments, seoMetadata } = req.body;
-
     // Verify category exists if provided
     if (category && category !== post.category.toString()) {
       const categoryExists = await Category.findById(category);
@@ -221,27 +389,47 @@ exports.updatePost = async (req, res) => {
       }
     }
 
-    // Update post
-    const updatedPost = await Post.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...(title && { title }),
-        ...(content && { content }),
-        ...(excerpt !== undefined && { excerpt }),
-        ...(category && { category }),
-        ...(tags !== undefined && { tags: tags ? tags.split(',').map(tag => tag.trim()) : [] }),
-        ...(status && { status }),
-        ...(featuredImage !== undefined && { featuredImage }),
-        ...(allowComments !== undefined && { allowComments }),
-        ...(seoMetadata && { seoMetadata })
-      },
-      {
-        new: true,
-        runValidators: true
+    const originalSlugs = { slug: post.slug, previousSlugs: [...post.previousSlugs] };
+
+    // Update post, picking the slug again if a concurrent write takes it first
+    const updatedPost = await retryOnSlugConflict(async () => {
+      // Retitling keeps the slug; it only moves when the author edits it
+      if (slug) {
+        post.set(originalSlugs);
+        await post.changeSlug(slug);
       }
-    )
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name slug color');
+
+      return Post.findByIdAndUpdate(
+        req.params.id,
+        {
+          ...(title && { title }),
+          ...(slug && { slug: post.slug, previousSlugs: post.previousSlugs }),
+          ...(content && { content }),
+          ...(excerpt !== undefined && { excerpt }),
+          ...(category && { category }),
+          ...(tags !== undefined && { tags: tags ? tags.split(',').map(tag => tag.trim()) : [] }),
+          ...(status && { status }),
+          // findByIdAndUpdate skips the pre-save hook that normally sets this
+          ...(status === 'published' && !post.publishedAt && { publishedAt: new Date() }),
+          ...(featuredImage !== undefined && { featuredImage }),
+          ...(allowComments !== undefined && { allowComments }),
+          ...(seoMetadata && { seoMetadata }),
+          publishAt: nextStatus === 'scheduled' ? nextPublishAt : post.publishAt,
+          unpublishAt: nextUnpublishAt
+        },
+        {
+          new: true,
+          runValidators: true
+        }
+      )
+        .populate('author', 'username firstName lastName avatar')
+        .populate('category', 'name slug color');
+    });
+
+    await PostRevision.record(updatedPost, req.user._id, { before: post });
+
+    // An explicit save supersedes the editor's autosaved copy
+    await PostDraft.deleteOne({ post: post._id, user: req.user._id });
 
     res.status(200).json({
       success: true,
@@ -260,27 +448,14 @@ exports.updatePost = async (req, res) => {
 
 // @desc    Delete post
 // @route   DELETE /api/posts/:id
-// @access  Private
+// @access  Private (posts:delete_own or posts:delete_any)
 exports.deletePost = async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
+    // Loaded and ownership-checked by the checkOwnership middleware
+    const post = req.resource;
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this post'
-      });
-    }
-
-    await post.remove();
+    // Related data is removed by the post's deleteOne hook
+    await post.deleteOne();
 
     res.status(200).json({
       success: true,
@@ -414,3 +589,386 @@ exports.searchPosts = async (req, res) => {
     });
   }
 };
+
+// Revision summary for lists and diff headers
+const describeRevision = (revision) => ({
+  revision: revision.revision,
+  editor: revision.editor,
+  changedFields: revision.changedFields,
+  restoredFrom: revision.restoredFrom,
+  createdAt: revision.createdAt
+});
+
+// @desc    List a post's revisions, newest first
+// @route   GET /api/posts/:id/revisions
+// @access  Private (anyone who may edit the post)
+exports.getRevisions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { post: req.resource._id };
+
+    const [revisions, total] = await Promise.all([
+      PostRevision.find(query)
+        .select('-snapshot.content')
+        .populate('editor', 'username firstName lastName avatar')
+        .sort({ revision: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      PostRevision.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalRevisions: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Line-level diff between two revisions (defaults: latest against the one before)
+// @route   GET /api/posts/:id/revisions/diff?from=&to=
+// @access  Private (anyone who may edit the post)
+exports.getRevisionDiff = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const postId = req.resource._id;
+    const populateEditor = { path: 'editor', select: 'username firstName lastName avatar' };
+
+    const to = req.query.to
+      ? await PostRevision.findOne({ post: postId, revision: req.query.to }).populate(populateEditor)
+      : await PostRevision.findOne({ post: postId }).sort({ revision: -1 }).populate(populateEditor);
+
+    const from = to && (req.query.from
+      ? await PostRevision.findOne({ post: postId, revision: req.query.from }).populate(populateEditor)
+      : await PostRevision.findOne({ post: postId, revision: { $lt: to.revision } })
+        .sort({ revision: -1 })
+        .populate(populateEditor));
+
+    if (!to || !from) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Text fields get a line diff; everything else is shown as before/after
+    const textFields = ['title', 'excerpt', 'content'];
+    const fields = {};
+
+    PostRevision.REVISION_FIELDS.forEach((field) => {
+      const before = from.snapshot[field];
+      const after = to.snapshot[field];
+
+      if (textFields.includes(field)) {
+        fields[field] = diffLines(before, after);
+      } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        fields[field] = { from: before, to: after };
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: describeRevision(from),
+        to: describeRevision(to),
+        fields
+      }
+    });
+  } catch (error) {
+    console.error('Get revision diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Restore a post's content from an earlier revision (the status is left alone)
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @access  Private (anyone who may edit the post)
+exports.restoreRevision = async (req, res) => {
+  try {
+    const post = req.resource;
+    const revisionNumber = parseInt(req.params.rev);
+
+    const revision = revisionNumber > 0
+      ? await PostRevision.findOne({ post: post._id, revision: revisionNumber })
+      : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const before = post.toObject();
+    const { snapshot } = revision;
+
+    post.title = snapshot.title;
+    post.content = snapshot.content;
+    post.excerpt = snapshot.excerpt;
+    post.tags = snapshot.tags;
+    post.featuredImage = snapshot.featuredImage;
+    post.allowComments = snapshot.allowComments;
+    post.seoMetadata = snapshot.seoMetadata;
+
+    // The category may have been deleted since
+    if (snapshot.category && await Category.exists({ _id: snapshot.category })) {
+      post.category = snapshot.category;
+    }
+
+    await post.save();
+
+    const restored = await PostRevision.record(post, req.user._id, {
+      before,
+      restoredFrom: revision.revision
+    });
+
+    await post.populate('author', 'username firstName lastName avatar');
+    await post.populate('category', 'name slug color');
+
+    res.status(200).json({
+      success: true,
+      message: restored
+        ? `Restored revision ${revision.revision}`
+        : `Post already matches revision ${revision.revision}`,
+      data: post
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Autosaved copy as returned to the client, with whether the post changed since it was started
+const describeDraft = async (draft, post) => {
+  const currentRevision = await PostRevision.latestNumber(post._id);
+
+  return {
+    data: draft,
+    currentRevision,
+    conflict: Boolean(draft) && currentRevision > draft.baseRevision
+  };
+};
+
+// @desc    Get the current user's autosaved copy of a post
+// @route   GET /api/posts/:id/autosave
+// @access  Private (anyone who may edit the post)
+exports.getAutosave = async (req, res) => {
+  try {
+    const post = req.resource;
+    const draft = await PostDraft.findOne({ post: post._id, user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      ...(await describeDraft(draft, post))
+    });
+  } catch (error) {
+    console.error('Get autosave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching autosave',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Autosave a working copy of a post (the post itself is not changed)
+// @route   PUT /api/posts/:id/autosave
+// @access  Private (anyone who may edit the post)
+exports.autosavePost = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = req.resource;
+    const { title, content, excerpt, category, tags, seoMetadata, baseRevision } = req.body;
+
+    const changes = {
+      ...(title !== undefined && { title }),
+      ...(content !== undefined && { content }),
+      ...(excerpt !== undefined && { excerpt }),
+      ...(category && { category }),
+      ...(tags !== undefined && { tags: tags ? tags.split(',').map(tag => tag.trim()) : [] }),
+      ...(seoMetadata && { seoMetadata })
+    };
+
+    // The first autosave fixes the revision the copy is based on
+    const draft = await PostDraft.findOneAndUpdate(
+      { post: post._id, user: req.user._id },
+      {
+        $set: changes,
+        $setOnInsert: {
+          baseRevision: baseRevision !== undefined
+            ? baseRevision
+            : await PostRevision.latestNumber(post._id)
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const result = await describeDraft(draft, post);
+
+    res.status(200).json({
+      success: true,
+      message: result.conflict
+        ? 'Autosaved, but the post has been changed since you started editing'
+        : 'Autosaved',
+      ...result
+    });
+  } catch (error) {
+    console.error('Autosave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while autosaving',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Discard the current user's autosaved copy
+// @route   DELETE /api/posts/:id/autosave
+// @access  Private (anyone who may edit the post)
+exports.discardAutosave = async (req, res) => {
+  try {
+    const { deletedCount } = await PostDraft.deleteOne({
+      post: req.resource._id,
+      user: req.user._id
+    });
+
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'No autosaved copy found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Autosaved copy discarded'
+    });
+  } catch (error) {
+    console.error('Discard autosave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while discarding autosave',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Apply the autosaved copy to the post (send force: true to overwrite newer changes)
+// @route   POST /api/posts/:id/autosave/promote
+// @access  Private (anyone who may edit the post)
+exports.promoteAutosave = async (req, res) => {
+  try {
+    const post = req.resource;
+    const draft = await PostDraft.findOne({ post: post._id, user: req.user._id });
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'No autosaved copy found'
+      });
+    }
+
+    const { conflict, currentRevision } = await describeDraft(draft, post);
+
+    if (conflict && req.body.force !== true) {
+      return res.status(409).json({
+        success: false,
+        message: 'The post has been changed since you started editing. Review the changes, then promote with force to overwrite them.',
+        baseRevision: draft.baseRevision,
+        currentRevision
+      });
+    }
+
+    // The category may have been deleted since
+    if (draft.category && !(await Category.exists({ _id: draft.category }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category selected'
+      });
+    }
+
+    const before = post.toObject();
+
+    PostDraft.FIELDS.forEach((field) => {
+      const value = draft[field];
+      const isEmpty = value === undefined || value === null ||
+        (field === 'seoMetadata' && !value.title && !value.description && !(value.keywords || []).length);
+
+      if (!isEmpty) {
+        post[field] = value;
+      }
+    });
+
+    // Runs the post's validation and save hooks (rendering, excerpt, read time)
+    try {
+      await post.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    await PostRevision.record(post, req.user._id, { before });
+    await draft.deleteOne();
+
+    await post.populate('author', 'username firstName lastName avatar');
+    await post.populate('category', 'name slug color');
+
+    res.status(200).json({
+      success: true,
+      message: 'Autosaved changes applied to the post',
+      data: post
+    });
+  } catch (error) {
+    console.error('Promote autosave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying autosave',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
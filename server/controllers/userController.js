@@ -0,0 +1,85 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+
+// Fields of a user that are shown publicly
+const PUBLIC_FIELDS = 'username firstName lastName bio avatar createdAt';
+
+// @desc    Get a public author profile with their published posts
+// @route   GET /api/users/:username
+// @access  Public
+exports.getUserProfile = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const user = await User.findOne({ username: req.params.username, isActive: true })
+      .select(PUBLIC_FIELDS)
+      .populate({ path: 'postCount', match: { status: 'published' } })
+      .populate('followerCount')
+      .populate('followingCount');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+
+    const query = { author: user._id, status: 'published' };
+
+    const [posts, total, [totals]] = await Promise.all([
+      Post.find(query)
+        .select('-content')
+        .populate('category', 'name slug color')
+        .populate('commentCount')
+        .sort({ publishedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Post.countDocuments(query),
+      Post.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            views: { $sum: '$views' },
+            likes: { $sum: { $size: { $ifNull: ['$likes', []] } } }
+          }
+        }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        author: {
+          id: user._id,
+          username: user.username,
+          fullName: user.fullName,
+          bio: user.bio,
+          avatar: user.avatar,
+          joinedAt: user.createdAt,
+          postCount: user.postCount || 0,
+          followerCount: user.followerCount || 0,
+          followingCount: user.followingCount || 0,
+          totalViews: totals ? totals.views : 0,
+          totalLikes: totals ? totals.likes : 0
+        },
+        posts
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalPosts: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching author',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
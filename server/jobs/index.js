@@ -0,0 +1,66 @@
+const { registerJob, startJobs } = require('../utils/scheduler');
+const { purgeDueAccounts } = require('../utils/accountPurge');
+const { runPostSchedule } = require('../utils/postSchedule');
+const DataExport = require('../models/DataExport');
+const Post = require('../models/Post');
+
+const seconds = (value, fallback) => (parseInt(value) || fallback) * 1000;
+const minutes = (value, fallback) => (parseInt(value) || fallback) * 60 * 1000;
+
+// Periodic maintenance jobs
+registerJob(
+  'purge-deleted-accounts',
+  minutes(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 60),
+  purgeDueAccounts
+);
+
+registerJob(
+  'remove-expired-exports',
+  minutes(process.env.EXPORT_CLEANUP_INTERVAL_MINUTES, 60),
+  () => DataExport.removeExpired()
+);
+
+// Exports left pending or processing by a restart would otherwise block new
+// ones until they expire
+registerJob(
+  'fail-stale-exports',
+  minutes(process.env.EXPORT_CLEANUP_INTERVAL_MINUTES, 60),
+  () => DataExport.failStale(),
+  { runOnStart: true }
+);
+
+// Safe to run on several instances: each post is claimed atomically
+registerJob(
+  'publish-scheduled-posts',
+  seconds(process.env.POST_SCHEDULE_INTERVAL_SECONDS, 60),
+  runPostSchedule,
+  { runOnStart: true }
+);
+
+// Brings stored HTML, TOC and plain text up to date after a renderer change
+// (and moves search to the rendered text on databases from before rendering)
+registerJob(
+  'render-post-content',
+  minutes(process.env.POST_RENDER_INTERVAL_MINUTES, 60),
+  async () => {
+    if (await Post.migrateTextIndex()) {
+      console.log('📝 Replaced the post text index with one over rendered text');
+    }
+
+    const batchSize = 100;
+    let total = 0;
+    let updated;
+
+    do {
+      updated = await Post.rerenderOutdated(batchSize);
+      total += updated;
+    } while (updated === batchSize);
+
+    if (total > 0) {
+      console.log(`📝 Re-rendered ${total} posts`);
+    }
+  },
+  { runOnStart: true }
+);
+
+module.exports = { startJobs };
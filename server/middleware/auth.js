@@ -1,416 +1,262 @@
-const Post = require('../models/Post');
-const Category = require('../models/Category');
-const { validationResult } = require('express-validator');
+const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
 
-// @desc    Get all posts
-// @route   GET /api/posts
-// @access  Public
-exports.getAllPosts = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      author,
-      status = 'published',
-      search,
-      sortBy = 'publishedAt',
-      sortOrder = 'desc',
-      featured
-    } = req.query;
-
-    // Build query object
-    const query = { status };
-
-    if (category) {
-      query.category = category;
-    }
+// Pull the JWT or personal access token from the Authorization header or the auth cookie
+const getTokenFromRequest = (req) => {
+  const { authorization } = req.headers;
 
-    if (author) {
-      query.author = author;
-    }
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.split(' ')[1];
+  }
 
-    if (featured === 'true') {
-      query.isFeatured = true;
-    }
+  if (req.cookies && req.cookies.token && req.cookies.token !== 'none') {
+    return req.cookies.token;
+  }
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } }
-      ];
-    }
+  return null;
+};
 
-    // Execute query with pagination
-    const posts = await Post.find(query)
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name slug color')
-      .populate('commentCount')
-      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean();
-
-    // Get total count for pagination
-    const total = await Post.countDocuments(query);
-
-    res.status(200).json({
-      success: true,
-      data: posts,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalPosts: total,
-        hasNextPage: page < Math.ceil(total / limit),
-        hasPrevPage: page > 1
-      }
-    });
-  } catch (error) {
-    console.error('Get posts error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching posts',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+// Check if user owns the resource
+const isOwner = (user, resource, field = 'author') => {
+  const owner = resource[field] && resource[field]._id
+    ? resource[field]._id
+    : resource[field];
+
+  return Boolean(owner) && owner.toString() === user.id;
+};
+
+// Check access to a resource: owners need `own`, everyone else needs `any`
+const canAccessResource = (user, resource, { field = 'author', own, any } = {}) => {
+  if (isOwner(user, resource, field) && (!own || user.hasPermission(own))) {
+    return true;
   }
+
+  return Boolean(any) && user.hasPermission(any);
 };
 
-// @desc    Get single post by ID or slug
-// @route   GET /api/posts/:identifier
-// @access  Public
-exports.getPost = async (req, res) => {
+// Resolve a JWT access token to { user, session } or { error }
+const authenticateJwt = async (token) => {
+  let decoded;
   try {
-    const { identifier } = req.params;
-    
-    // Check if identifier is ObjectId or slug
-    const isObjectId = mongoose.Types.ObjectId.isValid(identifier);
-    const query = isObjectId ? { _id: identifier } : { slug: identifier };
-
-    const post = await Post.findOne(query)
-      .populate('author', 'username firstName lastName avatar bio')
-      .populate('category', 'name slug color description')
-      .populate('commentCount');
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: 'Not authorized, token is invalid or expired' };
+  }
 
-    // Increment view count (don't await to avoid slowing response)
-    Post.findByIdAndUpdate(post._id, { $inc: { views: 1 } }).exec();
+  const user = await User.findById(decoded.id);
 
-    res.status(200).json({
-      success: true,
-      data: post
-    });
-  } catch (error) {
-    console.error('Get post error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching post',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!user) {
+    return { error: 'User belonging to this token no longer exists' };
   }
-};
 
-// @desc    Create new post
-// @route   POST /api/posts
-// @access  Private
-exports.createPost = async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
+  // Access tokens are bound to a session that logout can revoke
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
 
-    const { title, content, excerpt, category, tags, status, featuredImage, allowComments, seoMetadata } = req.body;
+  if (!session || !session.isActive || session.user.toString() !== user.id) {
+    return { error: 'Session has expired or been revoked' };
+  }
 
-    // Verify category exists
-    const categoryExists = await Category.findById(category);
-    if (!categoryExists) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid category selected'
-      });
-    }
+  return { user, session };
+};
 
-    // Create post
-    const post = await Post.create({
-      title,
-      content,
-      excerpt,
-      category,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      status: status || 'draft',
-      author: req.user.id,
-      featuredImage,
-      allowComments: allowComments !== false,
-      seoMetadata
-    });
+// Resolve a personal access token to { user, apiToken } or { error }
+const authenticateApiToken = async (token) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
 
-    // Populate the created post
-    await post.populate('author', 'username firstName lastName avatar');
-    await post.populate('category', 'name slug color');
+  if (!apiToken) {
+    return { error: 'Not authorized, token is invalid, expired or revoked' };
+  }
 
-    res.status(201).json({
-      success: true,
-      message: 'Post created successfully',
-      data: post
-    });
-  } catch (error) {
-    console.error('Create post error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while creating post',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  const user = await User.findById(apiToken.user);
+
+  if (!user) {
+    return { error: 'User belonging to this token no longer exists' };
   }
+
+  return { user, apiToken };
 };
 
-// @desc    Update post
-// @route   PUT /api/posts/:id
-// @access  Private
-exports.updatePost = async (req, res) => {
+// @desc    Require a valid JWT or personal access token and an active user
+exports.protect = async (req, res, next) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const token = getTokenFromRequest(req);
+
+    if (!token) {
+      return res.status(401).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: 'Not authorized to access this route'
       });
     }
 
-    const post = await Post.findById(req.params.id);
+    const auth = ApiToken.isApiToken(token)
+      ? await authenticateApiToken(token)
+      : await authenticateJwt(token);
 
-    if (!post) {
-      return res.status(404).json({
+    if (auth.error) {
+      return res.status(401).json({
         success: false,
-        message: 'Post not found'
+        message: auth.error
       });
     }
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
+    const { user, session, apiToken } = auth;
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'Not authorized to update this post'
+        message: 'Account has been deactivated. Please contact support.'
       });
     }
 
-    const { title, content, excerpt, category, tags, status, featuredImage, allowComments, seoMetadata } = req.body;
-
-    // Verify category exists if provided
-    if (category && category !== post.category.toString()) {
-      const categoryExists = await Category.findById(category);
-      if (!categoryExists) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid category selected'
-        });
-      }
-    }
+    // Track last activity (not awaited)
+    const activity = session
+      ? session.touch({ ip: req.ip, userAgent: req.get('User-Agent') })
+      : apiToken.touch(req.ip);
+    activity.catch(error => console.error('Auth activity update error:', error));
 
-    // Update post
-    const updatedPost = await Post.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...(title && { title }),
-        ...(content && { content }),
-        ...(excerpt !== undefined && { excerpt }),
-        ...(category && { category }),
-        ...(tags !== undefined && { tags: tags ? tags.split(',').map(tag => tag.trim()) : [] }),
-        ...(status && { status }),
-        ...(featuredImage !== undefined && { featuredImage }),
-        ...(allowComments !== undefined && { allowComments }),
-        ...(seoMetadata && { seoMetadata })
-      },
-      {
-        new: true,
-        runValidators: true
-      }
-    )
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name slug color');
-
-    res.status(200).json({
-      success: true,
-      message: 'Post updated successfully',
-      data: updatedPost
-    });
+    req.user = user;
+    req.authSession = session || null;
+    req.apiToken = apiToken || null;
+    next();
   } catch (error) {
-    console.error('Update post error:', error);
+    console.error('Auth middleware error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating post',
+      message: 'Server error during authentication',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
-// @desc    Delete post
-// @route   DELETE /api/posts/:id
-// @access  Private
-exports.deletePost = async (req, res) => {
+// @desc    Attach the user when a valid token is sent, but let anonymous requests
+//          through (for public routes that show more to signed-in users)
+exports.optionalAuth = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const token = getTokenFromRequest(req);
 
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
+    if (token) {
+      const auth = ApiToken.isApiToken(token)
+        ? await authenticateApiToken(token)
+        : await authenticateJwt(token);
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this post'
-      });
+      if (!auth.error && auth.user.isActive) {
+        req.user = auth.user;
+        req.authSession = auth.session || null;
+        req.apiToken = auth.apiToken || null;
+      }
     }
-
-    await post.remove();
-
-    res.status(200).json({
-      success: true,
-      message: 'Post deleted successfully'
-    });
+    next();
   } catch (error) {
-    console.error('Delete post error:', error);
+    console.error('Auth middleware error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting post',
+      message: 'Server error during authentication',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
-// @desc    Like/Unlike post
-// @route   POST /api/posts/:id/like
-// @access  Private
-exports.toggleLike = async (req, res) => {
-  try {
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
-
-    const isLiked = post.isLikedBy(req.user.id);
-    await post.toggleLike(req.user.id);
-
-    res.status(200).json({
-      success: true,
-      message: isLiked ? 'Post unliked' : 'Post liked',
-      data: {
-        isLiked: !isLiked,
-        likeCount: post.likeCount
-      }
-    });
-  } catch (error) {
-    console.error('Toggle like error:', error);
-    res.status(500).json({
+// @desc    Reject personal access tokens (account management needs a real login)
+exports.sessionOnly = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
       success: false,
-      message: 'Server error while toggling like',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Personal access tokens cannot be used for this action'
     });
   }
+  next();
 };
 
-// @desc    Get featured posts
-// @route   GET /api/posts/featured
-// @access  Public
-exports.getFeaturedPosts = async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 5;
-
-    const posts = await Post.find({
-      status: 'published',
-      isFeatured: true
-    })
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name slug color')
-      .sort({ publishedAt: -1 })
-      .limit(limit)
-      .lean();
-
-    res.status(200).json({
-      success: true,
-      data: posts
-    });
-  } catch (error) {
-    console.error('Get featured posts error:', error);
-    res.status(500).json({
+// @desc    Require scopes when authenticated with a personal access token
+//          (session logins carry every scope)
+exports.requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.apiToken) {
+      const missing = scopes.filter(scope => !req.apiToken.hasScope(scope));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Token is missing required scope: ${missing.join(', ')}`
+        });
+      }
+    }
+    next();
+  };
+};
+
+// @desc    Require a verified email address (use after protect)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
       success: false,
-      message: 'Server error while fetching featured posts',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Please verify your email address to perform this action',
+      code: 'EMAIL_NOT_VERIFIED'
     });
   }
+  next();
 };
 
-// @desc    Search posts
-// @route   GET /api/posts/search
-// @access  Public
-exports.searchPosts = async (req, res) => {
-  try {
-    const { q, page = 1, limit = 10 } = req.query;
+// @desc    Require every given permission from the role matrix (use after protect)
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
 
-    if (!q) {
-      return res.status(400).json({
+    if (missing.length > 0) {
+      return res.status(403).json({
         success: false,
-        message: 'Search query is required'
+        message: 'You do not have permission to perform this action',
+        missingPermissions: missing
       });
     }
+    next();
+  };
+};
 
-    const posts = await Post.find({
-      status: 'published',
-      $text: { $search: q }
-    }, {
-      score: { $meta: 'textScore' }
-    })
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name slug color')
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean();
-
-    const total = await Post.countDocuments({
-      status: 'published',
-      $text: { $search: q }
-    });
+// @desc    Load a resource by :id and check the user may act on it (use after protect)
+//          Owners need the `own` permission, others the `any` permission.
+//          The loaded document is attached as req.resource
+exports.checkOwnership = (Model, options = {}) => {
+  const { field = 'author', own, any, param = 'id' } = options;
+  const resourceName = Model.modelName;
+
+  return async (req, res, next) => {
+    try {
+      const id = req.params[param];
+      const resource = mongoose.Types.ObjectId.isValid(id)
+        ? await Model.findById(id)
+        : null;
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${resourceName} not found`
+        });
+      }
 
-    res.status(200).json({
-      success: true,
-      data: posts,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalPosts: total,
-        hasNextPage: page < Math.ceil(total / limit),
-        hasPrevPage: page > 1
+      if (!canAccessResource(req.user, resource, { field, own, any })) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized to modify this ${resourceName.toLowerCase()}`
+        });
       }
-    });
-  } catch (error) {
-    console.error('Search posts error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while searching posts',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error('Ownership check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during authorization',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
 };
+
+exports.isOwner = isOwner;
+exports.canAccessResource = canAccessResource;
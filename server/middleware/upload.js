@@ -0,0 +1,48 @@
+const multer = require('multer');
+
+// Upload limits; keep in sync with VITE_MAX_FILE_SIZE / VITE_ALLOWED_FILE_TYPES in the client
+const MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const ALLOWED_FILE_TYPES = (process.env.UPLOAD_ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/webp,image/gif')
+  .split(',')
+  .map(type => type.trim());
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type must be one of: ${ALLOWED_FILE_TYPES.join(', ')}`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in `field`, kept in memory as req.file
+exports.singleImage = (field) => {
+  return (req, res, next) => {
+    imageUpload.single(field)(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `File is too large. Maximum size is ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB`
+            : error.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please upload an image'
+        });
+      }
+
+      next();
+    });
+  };
+};
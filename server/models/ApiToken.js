@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes a personal access token can be granted
+const SCOPES = [
+  'profile:read',
+  'posts:read',
+  'posts:write',
+  'comments:write',
+  'comments:moderate'
+];
+
+// Raw tokens carry this prefix so the auth middleware can tell them from JWTs
+const TOKEN_PREFIX = 'mbp_';
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token must belong to a user'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a token name'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the raw token, to help users recognize it
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: {
+      values: SCOPES,
+      message: 'Unknown scope: {VALUE}'
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the token can still be used
+apiTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+// Static method to check whether a bearer value looks like a personal access token
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to hash a raw token
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a token, returns the document and the raw token (shown once)
+apiTokenSchema.statics.issue = async function(userId, { name, scopes, expiresInDays }) {
+  const rawToken = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const apiToken = await this.create({
+    user: userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: this.hashToken(rawToken),
+    tokenPreview: rawToken.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { apiToken, rawToken };
+};
+
+// Static method to find the active token for a raw value
+apiTokenSchema.statics.findActiveByToken = function(rawToken) {
+  return this.findOne({
+    tokenHash: this.hashToken(rawToken),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Instance method to check a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record usage, written at most once a minute
+apiTokenSchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.save();
+};
+
+// Instance method to revoke the token
+apiTokenSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Append-only security audit log. Actions are dotted names, e.g.
+// auth.login, auth.login_failed, auth.logout, auth.password_change,
+// auth.password_reset, auth.profile_update, auth.email_change,
+// auth.account_deactivate, admin.user_role_change, admin.user_deactivate.
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  // Who did it; empty for anonymous requests and system jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Whose account it affected
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ target: 1, createdAt: -1 });
+
+// Events are never changed or removed once written; the one exception is
+// redactUser(), which bypasses these hooks
+const appendOnly = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((operation) => {
+  auditEventSchema.pre(operation, appendOnly);
+});
+
+// Static method to record an event for a request (req may be null for jobs).
+// The actor defaults to the signed-in user and the target to the actor.
+// Never throws: a failed write is logged rather than failing the request.
+auditEventSchema.statics.record = async function(req, action, options = {}) {
+  const actor = options.actor !== undefined
+    ? options.actor
+    : req && req.user ? req.user._id : undefined;
+  const target = options.target !== undefined ? options.target : actor;
+
+  try {
+    return await this.create({
+      action,
+      outcome: options.outcome || 'success',
+      actor: actor && actor._id ? actor._id : actor,
+      target: target && target._id ? target._id : target,
+      details: options.details || {},
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') || '' : undefined
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+};
+
+const REDACTED = '[redacted]';
+
+// Static method to strip a purged user's username and email addresses from
+// the details of the log. Events are kept, with their ids, for the record.
+auditEventSchema.statics.redactUser = async function(user) {
+  const own = { $or: [{ actor: user._id }, { target: user._id }] };
+  const emailChanges = { ...own, action: /^auth\.email_change/ };
+
+  // Every address the account has used, to find failed logins made with them
+  const changes = await this.find(emailChanges).select('details').lean();
+  const emails = new Set([user.email, user.pendingEmail]);
+  changes.forEach(({ details = {} }) => {
+    emails.add(details.from);
+    emails.add(details.to);
+  });
+  emails.delete(undefined);
+  emails.delete(null);
+
+  const redact = (filter, field) => this.collection.updateMany(
+    { [`details.${field}`]: { $exists: true }, ...filter },
+    { $set: { [`details.${field}`]: REDACTED } }
+  );
+
+  await Promise.all([
+    redact(own, 'username'),
+    redact(own, 'previousUsername'),
+    redact(own, 'email'),
+    redact(emailChanges, 'from'),
+    redact(emailChanges, 'to'),
+    redact({ action: 'auth.login_failed', 'details.email': { $in: [...emails] } }, 'email')
+  ]);
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { uniqueSlug } = require('../utils/slug');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -61,16 +62,12 @@ categorySchema.virtual('postCount', {
   match: { status: 'published' }
 });
 
-// Generate slug before saving
-categorySchema.pre('save', function(next) {
+// Generate slug before saving. Names that reduce to the same slug ("C" and
+// "C++") get a numeric suffix.
+categorySchema.pre('save', async function() {
   if (this.isModified('name') || this.isNew) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9\s]/g, '')
-      .replace(/\s+/g, '-')
-      .trim();
+    this.slug = await uniqueSlug(this.constructor, this.name, { excludeId: this._id });
   }
-  next();
 });
 
 // Static method to find active categories
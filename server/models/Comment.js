@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const DELETED_AUTHOR = { username: 'deleted user', fullName: 'Deleted user', avatar: null };
+
 const commentSchema = new mongoose.Schema({
   content: {
     type: String,
@@ -11,9 +13,23 @@ const commentSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Comment must have an author'],
+    required: [function() { return !this.authorDeleted; }, 'Comment must have an author'],
     index: true
   },
+  // Set when the author's account is purged; the comment stays in its thread
+  authorDeleted: {
+    type: Boolean,
+    default: false
+  },
+  // What is shown in place of a purged author, stored so lean reads get it too
+  authorPlaceholder: {
+    type: new mongoose.Schema({
+      username: String,
+      fullName: String,
+      avatar: String
+    }, { _id: false }),
+    default: undefined
+  },
   post: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
@@ -57,7 +73,16 @@ const commentSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      if (ret.authorDeleted) {
+        ret.author = ret.authorPlaceholder || DELETED_AUTHOR;
+      }
+      delete ret.authorPlaceholder;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -101,6 +126,14 @@ commentSchema.pre('save', function(next) {
   next();
 });
 
+// Static method to detach a purged user's comments from the account
+commentSchema.statics.anonymizeAuthor = function(userId) {
+  return this.updateMany(
+    { author: userId },
+    { $set: { author: null, authorDeleted: true, authorPlaceholder: DELETED_AUTHOR } }
+  );
+};
+
 // Static method to find approved comments for a post
 commentSchema.statics.findByPost = function(postId, options = {}) {
   const {
@@ -212,15 +245,4 @@ commentSchema.methods.reject = function() {
   return this.save();
 };
 
-// Pre-remove middleware to handle nested comments
-commentSchema.pre('remove', async function(next) {
-  try {
-    // Remove all replies to this comment
-    await this.model('Comment').deleteMany({ parentComment: this._id });
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
 module.exports = mongoose.model('Comment', commentSchema);
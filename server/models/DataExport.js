@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const fs = require('fs/promises');
+
+// A personal data export ("takeout"). The archive is built in the background;
+// once ready it can be downloaded until expiresAt, after which the file and
+// the record are removed.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Export must belong to a user'],
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  filePath: {
+    type: String,
+    default: null,
+    select: false
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+dataExportSchema.index({ expiresAt: 1 });
+
+// Virtual for whether the archive can be downloaded
+dataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'ready' && this.expiresAt > new Date();
+});
+
+// How long an export may stay pending or processing. Builds run in the
+// process that accepted the request, so one still unfinished after this was
+// lost to a restart or crash and is treated as failed.
+const buildTimeoutMs = () =>
+  (parseInt(process.env.EXPORT_BUILD_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+const IN_PROGRESS = ['pending', 'processing'];
+
+// Static method to find an export that is still being built for a user
+dataExportSchema.statics.findInProgress = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: IN_PROGRESS },
+    updatedAt: { $gt: new Date(Date.now() - buildTimeoutMs()) },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to mark exports whose build was abandoned as failed
+dataExportSchema.statics.failStale = async function() {
+  const result = await this.updateMany(
+    {
+      status: { $in: IN_PROGRESS },
+      updatedAt: { $lte: new Date(Date.now() - buildTimeoutMs()) }
+    },
+    {
+      $set: { status: 'failed', error: 'The export timed out. Please request a new one.' }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to delete expired exports and their archives
+dataExportSchema.statics.removeExpired = async function() {
+  const expired = await this.find({ expiresAt: { $lte: new Date() } }).select('+filePath');
+
+  await Promise.all(expired.map(async (dataExport) => {
+    if (dataExport.filePath) {
+      await fs.rm(dataExport.filePath, { force: true });
+    }
+    await dataExport.deleteOne();
+  }));
+
+  return expired.length;
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A user following an author or a category
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follow must have a follower'],
+    index: true
+  },
+  targetModel: {
+    type: String,
+    enum: ['User', 'Category'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: [true, 'Follow must have a target']
+  }
+}, {
+  timestamps: true
+});
+
+followSchema.index({ follower: 1, targetModel: 1, target: 1 }, { unique: true });
+followSchema.index({ target: 1, targetModel: 1 });
+
+// Static method to get the ids of the authors and categories a user follows
+followSchema.statics.getFollowedIds = async function(userId) {
+  const follows = await this.find({ follower: userId }).select('targetModel target').lean();
+
+  return {
+    authors: follows.filter(follow => follow.targetModel === 'User').map(follow => follow.target),
+    categories: follows.filter(follow => follow.targetModel === 'Category').map(follow => follow.target)
+  };
+};
+
+module.exports = mongoose.model('Follow', followSchema);
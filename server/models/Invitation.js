@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions');
+
+// Registration invitation. Only a hash of the code is stored; the raw code is
+// shown once to the admin who creates it.
+const invitationSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the code, to help admins recognize it
+  codePreview: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role given to accounts registered with this invitation
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Unknown role: {VALUE}'
+    },
+    default: 'user'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'An invitation must allow at least one use'],
+    default: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  usedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the invitation can still be used
+invitationSchema.virtual('isUsable').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date() && this.uses < this.maxUses;
+});
+
+invitationSchema.index({ createdAt: -1 });
+
+const usableQuery = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+  $expr: { $lt: ['$uses', '$maxUses'] }
+});
+
+// Static method to hash a raw code
+invitationSchema.statics.hashCode = function(code) {
+  return crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+};
+
+// Static method to create an invitation, returns the document and the raw code (shown once)
+invitationSchema.statics.issue = async function(createdBy, { role, maxUses, expiresInDays, note }) {
+  const code = crypto.randomBytes(12).toString('base64url');
+
+  const invitation = await this.create({
+    codeHash: this.hashCode(code),
+    codePreview: code.slice(0, 4),
+    createdBy,
+    role,
+    note,
+    maxUses,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { invitation, code };
+};
+
+// Static method to find the usable invitation for a raw code
+invitationSchema.statics.findUsable = function(code) {
+  return this.findOne({ codeHash: this.hashCode(code), ...usableQuery() });
+};
+
+// Static method to take one use of an invitation. Atomic, so concurrent
+// registrations cannot exceed maxUses. Resolves to the invitation or null.
+invitationSchema.statics.reserve = function(code) {
+  return this.findOneAndUpdate(
+    { codeHash: this.hashCode(code), ...usableQuery() },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Instance method to give back a reserved use when registration fails
+invitationSchema.methods.release = function() {
+  return this.constructor.updateOne({ _id: this._id, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+};
+
+// Instance method to record the account created with a reserved use
+invitationSchema.methods.recordUse = function(userId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { usedBy: { user: userId, usedAt: new Date() } } }
+  );
+};
+
+// Instance method to revoke the invitation
+invitationSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
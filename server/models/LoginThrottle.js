@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+// Failed login tracking, one document per key ("account:<email>" or "ip:<address>").
+// Each failure past the delay threshold doubles the wait before the next attempt;
+// reaching maxFailures locks the key for the lockout period. Attempts are
+// counted as failures when they start (reserve) and given back when they
+// succeed (release), so concurrent guesses can't get past the limit.
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Forget idle counters automatically
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Limits per key type, configurable through the environment
+const policies = {
+  account: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 2
+  },
+  ip: {
+    maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+    lockoutMinutes: parseInt(process.env.LOGIN_IP_LOCKOUT_MINUTES) || 15,
+    delayAfter: parseInt(process.env.LOGIN_IP_DELAY_AFTER) || 10
+  }
+};
+
+const MAX_DELAY_MS = 60 * 1000;
+
+// Wait required after `failures` consecutive failures: 1s, 2s, 4s, ... capped at a minute
+const delayFor = (failures, policy) => {
+  if (failures < policy.delayAfter) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (failures - policy.delayAfter), MAX_DELAY_MS);
+};
+
+const policyFor = (key) => policies[key.split(':')[0]] || policies.account;
+
+// Static method to build throttle keys
+loginThrottleSchema.statics.accountKey = (email) => `account:${String(email).toLowerCase()}`;
+loginThrottleSchema.statics.ipKey = (ip) => `ip:${ip}`;
+
+// Block on a key after `failures` failed attempts: null or { locked, until }
+const blockFor = (throttle, failures, now) => {
+  if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+    return { locked: true, until: throttle.lockedUntil.getTime() };
+  }
+
+  if (throttle.lastFailureAt) {
+    const until = throttle.lastFailureAt.getTime() + delayFor(failures, policyFor(throttle.key));
+    if (until > now) {
+      return { locked: false, until };
+    }
+  }
+
+  return null;
+};
+
+// Longest of the blocks, as { locked, retryAfter } (seconds), or null
+const longestBlock = (blocks, now) => {
+  const block = blocks.reduce(
+    (longest, current) => (current && (!longest || current.until > longest.until) ? current : longest),
+    null
+  );
+
+  return block && {
+    locked: block.locked,
+    retryAfter: Math.ceil((block.until - now) / 1000)
+  };
+};
+
+// Lock the key if its failures reached `atLeast`, and start counting afresh.
+// Atomic, so only one of several concurrent failures applies the lock.
+const lockIfOver = (Model, key, atLeast, now) => {
+  const lockoutMs = policyFor(key).lockoutMinutes * 60 * 1000;
+
+  return Model.findOneAndUpdate(
+    { key, failures: { $gte: atLeast } },
+    { $set: { failures: 0, lockedUntil: new Date(now.getTime() + lockoutMs) } },
+    { new: true }
+  );
+};
+
+// Static method to check whether any of the keys is blocked.
+// Resolves to null or { locked, retryAfter } (seconds) for the longest block.
+loginThrottleSchema.statics.getBlock = async function(keys) {
+  const now = Date.now();
+  const throttles = await this.find({ key: { $in: keys } });
+
+  return longestBlock(throttles.map(throttle => blockFor(throttle, throttle.failures, now)), now);
+};
+
+// Static method to start a login attempt: count it as a failure against each
+// key and check the keys in the same atomic update. Resolves to null when the
+// attempt may go ahead (settle it with recordFailure or release), or to the
+// longest { locked, retryAfter } block, in which case it is not counted.
+loginThrottleSchema.statics.reserve = async function(keys) {
+  const now = new Date();
+
+  const blocks = await Promise.all(keys.map(async (key) => {
+    const policy = policyFor(key);
+    const lockoutMs = policy.lockoutMinutes * 60 * 1000;
+
+    const throttle = await this.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { expiresAt: new Date(now.getTime() + Math.max(lockoutMs, 24 * 60 * 60 * 1000)) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const block = blockFor(throttle, throttle.failures - 1, now.getTime());
+
+    if (block) {
+      await this.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+      return block;
+    }
+
+    // Attempts in flight already use up the limit (a concurrent attempt may
+    // have applied the lock first)
+    if (throttle.failures > policy.maxFailures) {
+      const locked = await lockIfOver(this, key, policy.maxFailures + 1, now) ||
+        await this.findOne({ key });
+      const until = locked && locked.lockedUntil ? locked.lockedUntil.getTime() : now.getTime() + lockoutMs;
+      return { locked: true, until };
+    }
+
+    return null;
+  }));
+
+  const block = longestBlock(blocks, now.getTime());
+
+  // Don't count an attempt that is turned away on any key
+  if (block) {
+    const counted = keys.filter((key, i) => !blocks[i]);
+    await this.updateMany({ key: { $in: counted }, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+  }
+
+  return block;
+};
+
+// Static method to settle reserved attempts as failed
+loginThrottleSchema.statics.recordFailure = async function(keys) {
+  const now = new Date();
+
+  await this.updateMany({ key: { $in: keys } }, { $set: { lastFailureAt: now } });
+  await Promise.all(keys.map(key => lockIfOver(this, key, policyFor(key).maxFailures, now)));
+};
+
+// Static method to settle reserved attempts as successful
+loginThrottleSchema.statics.release = function(keys) {
+  return this.updateMany({ key: { $in: keys }, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+};
+
+// Static method to clear a key (successful login or admin unlock)
+loginThrottleSchema.statics.reset = function(key) {
+  return this.deleteOne({ key });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
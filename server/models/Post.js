@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const { RENDER_VERSION, renderMarkdown, countWords } = require('../utils/markdown');
+const { uniqueSlug } = require('../utils/slug');
+
+const WORDS_PER_MINUTE = 200;
+
+// Rendered fields for a piece of Markdown content
+const renderedFields = (content) => {
+  const { html, text, toc, version } = renderMarkdown(content);
+
+  return {
+    contentHtml: html,
+    contentText: text,
+    toc,
+    contentRenderVersion: version,
+    readTime: Math.ceil(countWords(text) / WORDS_PER_MINUTE)
+  };
+};
+
+// Excerpt generated when the author doesn't write one
+const autoExcerpt = (text) => text.replace(/\s+/g, ' ').substring(0, 150) + '...';
+
+// Whether a stored excerpt was generated rather than written by the author
+// (including excerpts generated from raw content before posts were rendered)
+const isAutoExcerpt = ({ excerpt, content = '', contentText }) =>
+  !excerpt ||
+  excerpt === autoExcerpt(contentText || '') ||
+  excerpt === content.replace(/<[^>]*>/g, '').substring(0, 150) + '...';
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -14,11 +41,35 @@ const postSchema = new mongoose.Schema({
     lowercase: true,
     index: true
   },
+  // Earlier slugs of this post; requests for them redirect to the current one
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
   content: {
     type: String,
     required: [true, 'Please provide content'],
     minlength: [50, 'Content must be at least 50 characters long']
   },
+  // Server rendering of the Markdown content, kept in step by the hooks below
+  contentHtml: {
+    type: String,
+    select: false
+  },
+  contentText: {
+    type: String,
+    select: false
+  },
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
+  contentRenderVersion: {
+    type: Number,
+    default: 0
+  },
   excerpt: {
     type: String,
     maxlength: [300, 'Excerpt cannot exceed 300 characters']
@@ -56,7 +107,7 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft',
     index: true
   },
@@ -64,6 +115,16 @@ const postSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // When a scheduled post goes live
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // When a published post is automatically archived
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
   readTime: {
     type: Number, // in minutes
     default: 0
@@ -138,41 +199,90 @@ postSchema.virtual('formattedDate').get(function() {
 
 // Virtual for reading time calculation
 postSchema.virtual('estimatedReadTime').get(function() {
+  if (this.contentText) {
+    return Math.ceil(countWords(this.contentText) / WORDS_PER_MINUTE);
+  }
   if (this.content) {
-    const wordsPerMinute = 200;
     const wordCount = this.content.split(/\s+/).length;
-    return Math.ceil(wordCount / wordsPerMinute);
+    return Math.ceil(wordCount / WORDS_PER_MINUTE);
   }
   return 0;
 });
 
 // Indexes for better query performance
-postSchema.index({ title: 'text', content: 'text', excerpt: 'text' });
+postSchema.index({ title: 'text', contentText: 'text', excerpt: 'text' });
 postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ category: 1, publishedAt: -1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ views: -1 });
 postSchema.index({ 'likes.user': 1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ status: 1, unpublishAt: 1 });
+postSchema.index({ previousSlugs: 1 });
 
-// Generate slug before saving
+// Generate the slug of a new post from its title (or the slug the author asked
+// for). Afterwards it only changes through changeSlug, so links stay valid.
+postSchema.pre('save', async function() {
+  if (this.isNew || !this.slug) {
+    this.slug = await uniqueSlug(this.constructor, this.slug || this.title, {
+      fields: ['slug', 'previousSlugs'],
+      excludeId: this._id
+    });
+  }
+});
+
+// Render the Markdown content (also sets the read time)
 postSchema.pre('save', function(next) {
-  if (this.isModified('title') || this.isNew) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9\s]/g, '')
-      .replace(/\s+/g, '-')
-      .trim() + '-' + Date.now();
+  if (this.isModified('content')) {
+    this.set(renderedFields(this.content));
   }
   next();
 });
 
-// Generate excerpt from content if not provided
+// Render content set through findOneAndUpdate/findByIdAndUpdate, which skip the
+// save hooks, and keep a generated excerpt in step with the new content
+postSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+
+  // Pipeline updates are left alone
+  if (!update || Array.isArray(update)) {
+    return;
+  }
+
+  // Top-level fields, plus $set (which the timestamps plugin adds before this hook)
+  const fields = { ...update, ...update.$set };
+  if (typeof fields.content !== 'string') {
+    return;
+  }
+
+  const rendered = renderedFields(fields.content);
+  this.set(rendered);
+
+  const setExcerpt = () => {
+    // A top-level field would win over $set when Mongoose merges the two
+    delete update.excerpt;
+    this.set('excerpt', autoExcerpt(rendered.contentText));
+  };
+
+  if (fields.excerpt === undefined) {
+    // An excerpt the author wrote is kept
+    const current = await this.model.findOne(this.getFilter())
+      .select('excerpt content +contentText')
+      .lean();
+
+    if (current && isAutoExcerpt(current)) {
+      setExcerpt();
+    }
+  } else if (!fields.excerpt) {
+    setExcerpt();
+  }
+});
+
+// Generate excerpt from the rendered text if not provided
 postSchema.pre('save', function(next) {
   if (this.isModified('content') && !this.excerpt) {
-    // Remove HTML tags and get first 150 characters
-    const plainText = this.content.replace(/<[^>]*>/g, '');
-    this.excerpt = plainText.substring(0, 150) + '...';
+    this.excerpt = autoExcerpt(this.contentText);
   }
   next();
 });
@@ -185,16 +295,6 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Calculate and update read time before saving
-postSchema.pre('save', function(next) {
-  if (this.isModified('content')) {
-    const wordsPerMinute = 200;
-    const wordCount = this.content.split(/\s+/).length;
-    this.readTime = Math.ceil(wordCount / wordsPerMinute);
-  }
-  next();
-});
-
 // Static method to find published posts
 postSchema.statics.findPublished = function() {
   return this.find({ status: 'published' })
@@ -203,6 +303,73 @@ postSchema.statics.findPublished = function() {
     .sort({ publishedAt: -1 });
 };
 
+// Static method to publish one scheduled post whose time has come. The update
+// is atomic, so when several instances run the scheduler each post is claimed
+// by exactly one of them. Resolves to the published post or null.
+postSchema.statics.publishNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    [{ $set: { status: 'published', publishedAt: '$publishAt' } }],
+    { new: true, sort: { publishAt: 1 } }
+  );
+};
+
+// Static method to archive one published post past its unpublishAt (atomic, as above)
+postSchema.statics.unpublishNextExpired = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'published', unpublishAt: { $lte: now } },
+    { $set: { status: 'archived' } },
+    { new: true, sort: { unpublishAt: 1 } }
+  );
+};
+
+// Static method to drop a text index from before posts were rendered (one
+// over raw `content`) and build the current one. MongoDB allows a single text
+// index per collection, so the new index cannot be created while the old one
+// exists. Resolves to true when an index was replaced.
+postSchema.statics.migrateTextIndex = async function() {
+  const indexes = await this.collection.indexes().catch((error) => {
+    // Nothing to migrate before the collection exists
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw error;
+  });
+  const legacy = indexes.find(index => index.weights && index.weights.content);
+
+  if (!legacy) {
+    return false;
+  }
+
+  await this.collection.dropIndex(legacy.name);
+  await this.createIndexes();
+  return true;
+};
+
+// Static method to re-render a batch of posts stored with an older renderer
+// version. Resolves to the number of posts updated.
+postSchema.statics.rerenderOutdated = async function(limit = 100) {
+  const posts = await this.find({ contentRenderVersion: { $ne: RENDER_VERSION } })
+    .select('content')
+    .limit(limit)
+    .lean();
+
+  if (!posts.length) {
+    return 0;
+  }
+
+  // updateOne skips both the save and findOneAndUpdate hooks, and leaves updatedAt alone
+  await this.bulkWrite(posts.map(post => ({
+    updateOne: {
+      filter: { _id: post._id },
+      update: { $set: renderedFields(post.content) },
+      timestamps: false
+    }
+  })));
+
+  return posts.length;
+};
+
 // Static method to find featured posts
 postSchema.statics.findFeatured = function() {
   return this.find({ status: 'published', isFeatured: true })
@@ -232,6 +399,28 @@ postSchema.statics.searchPosts = function(query) {
     .sort({ score: { $meta: 'textScore' } });
 };
 
+// Instance method to move the post to a new slug. The requested text is
+// normalised and de-duplicated, and the current slug is kept in previousSlugs
+// so old links redirect. Call save (or persist slug and previousSlugs) after.
+postSchema.methods.changeSlug = async function(requested) {
+  const slug = await uniqueSlug(this.constructor, requested, {
+    fields: ['slug', 'previousSlugs'],
+    excludeId: this._id
+  });
+
+  if (slug !== this.slug) {
+    // Reclaiming an earlier slug takes it out of the history
+    const previousSlugs = this.previousSlugs.filter(previous => previous !== slug);
+    if (this.slug) {
+      previousSlugs.push(this.slug);
+    }
+    this.previousSlugs = previousSlugs;
+    this.slug = slug;
+  }
+
+  return this.slug;
+};
+
 // Instance method to increment views
 postSchema.methods.incrementViews = function() {
   this.views += 1;
@@ -264,15 +453,12 @@ postSchema.methods.isLikedBy = function(userId) {
   );
 };
 
-// Pre-remove middleware to clean up related data
-postSchema.pre('remove', async function(next) {
-  try {
-    // Remove all comments for this post
-    await this.model('Comment').deleteMany({ post: this._id });
-    next();
-  } catch (error) {
-    next(error);
-  }
+// Remove the post's comments, revisions and autosaved copies when the post is
+// deleted (document.deleteOne())
+postSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  await this.model('Comment').deleteMany({ post: this._id });
+  await this.model('PostRevision').deleteMany({ post: this._id });
+  await this.model('PostDraft').deleteMany({ post: this._id });
 });
 
 module.exports = mongoose.model('Post', postSchema);
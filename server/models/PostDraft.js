@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Autosaved working copy of a post, one per post and user. Kept apart from the
+// post itself so autosaving doesn't run the post's save hooks or touch what
+// readers see until the copy is promoted.
+const postDraftSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Latest post revision when the copy was started; a newer revision on the
+  // post means it changed underneath the copy
+  baseRevision: {
+    type: Number,
+    default: 0
+  },
+  title: {
+    type: String,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  content: String,
+  excerpt: {
+    type: String,
+    maxlength: [300, 'Excerpt cannot exceed 300 characters']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  tags: [String],
+  seoMetadata: {
+    title: String,
+    description: String,
+    keywords: [String]
+  }
+}, {
+  timestamps: true
+});
+
+postDraftSchema.index({ post: 1, user: 1 }, { unique: true });
+
+// Fields an autosave may carry
+postDraftSchema.statics.FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'seoMetadata'];
+
+module.exports = mongoose.model('PostDraft', postDraftSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// Fields captured in each revision
+const REVISION_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'category',
+  'tags',
+  'status',
+  'publishAt',
+  'unpublishAt',
+  'featuredImage',
+  'allowComments',
+  'seoMetadata'
+];
+
+// Snapshot of a post after a save
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Sequence number within the post, starting at 1
+  revision: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedFields: [{
+    type: String,
+    enum: REVISION_FIELDS
+  }],
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  snapshot: {
+    title: String,
+    content: String,
+    excerpt: String,
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    tags: [String],
+    status: String,
+    publishAt: Date,
+    unpublishAt: Date,
+    featuredImage: {
+      url: String,
+      public_id: String,
+      alt: String
+    },
+    allowComments: Boolean,
+    seoMetadata: {
+      title: String,
+      description: String,
+      keywords: [String]
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+postRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+// Plain copy of the revisioned fields of a post
+const snapshotOf = (post) => {
+  const source = post.toObject ? post.toObject({ virtuals: false, depopulate: true }) : post;
+
+  return REVISION_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = source[field];
+    return snapshot;
+  }, {});
+};
+
+// Attempts at a free revision number before giving up
+const MAX_ATTEMPTS = 5;
+
+// Whether a write failed because another save took the revision number
+const isRevisionConflict = (error) =>
+  Boolean(error) && error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.revision);
+
+// Fields whose values differ between two snapshots
+const changedBetween = (before, after) =>
+  REVISION_FIELDS.filter(field =>
+    JSON.stringify(before[field] === undefined ? null : before[field]) !==
+    JSON.stringify(after[field] === undefined ? null : after[field])
+  );
+
+// Static method to record the current state of a post. Pass the post as it was
+// before the save to work out which fields changed; without it every field
+// counts as changed. Resolves to null when nothing changed.
+postRevisionSchema.statics.record = async function(post, editorId, { before, restoredFrom } = {}) {
+  const snapshot = snapshotOf(post);
+  const changedFields = before ? changedBetween(snapshotOf(before), snapshot) : REVISION_FIELDS;
+
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  // Concurrent saves can pick the same number. The unique index refuses all
+  // but one of them; the others try again with the next free number.
+  let revision;
+  for (let attempt = 1; !revision; attempt++) {
+    const latest = await this.latestNumber(post._id);
+
+    try {
+      // Posts written before revisions existed: keep their previous state as revision 1
+      if (!latest && before) {
+        await this.create({
+          post: post._id,
+          revision: 1,
+          editor: before.author && before.author._id ? before.author._id : before.author,
+          changedFields: REVISION_FIELDS,
+          snapshot: snapshotOf(before)
+        });
+      }
+
+      revision = await this.create({
+        post: post._id,
+        revision: latest ? latest + 1 : before ? 2 : 1,
+        editor: editorId,
+        changedFields,
+        restoredFrom,
+        snapshot
+      });
+    } catch (error) {
+      if (!isRevisionConflict(error) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+
+  await this.prune(post._id);
+
+  return revision;
+};
+
+// Static method to get the latest revision number of a post (0 if none)
+postRevisionSchema.statics.latestNumber = async function(postId) {
+  const latest = await this.findOne({ post: postId }).sort({ revision: -1 }).select('revision');
+  return latest ? latest.revision : 0;
+};
+
+// Static method to drop the oldest revisions beyond POST_REVISION_LIMIT
+postRevisionSchema.statics.prune = async function(postId) {
+  const limit = parseInt(process.env.POST_REVISION_LIMIT) || 50;
+
+  const stale = await this.find({ post: postId })
+    .sort({ revision: -1 })
+    .skip(limit)
+    .select('_id');
+
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(revision => revision._id) } });
+  }
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
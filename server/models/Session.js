@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A session is one refresh-token family: it is created at login and its
+// refresh token is rotated on every use. Presenting a token that has already
+// been rotated out means it leaked, so the whole session is revoked; the one
+// exception is the token rotated out moments ago (see rotate()).
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // The token the current one replaced, and when
+  rotatedFromHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+sessionSchema.index({ user: 1, lastSeenAt: -1 });
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ rotatedFromHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh token lifetime in milliseconds
+const refreshTokenTtl = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// How long the token rotated out last still returns the current one. Tabs
+// of the same browser can send the same refresh token at once; only the
+// first rotates it, the others get the token it was rotated to.
+const rotationGraceMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_GRACE_SECONDS) || 10) * 1000;
+
+// The token that replaces a refresh token. It is derived rather than random,
+// so a request inside the grace window can be given the current token
+// without the raw token being stored.
+const nextRefreshToken = (refreshToken) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`refresh:${refreshToken}`).digest('hex');
+
+// Static method to hash a raw refresh token
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to start a new session, returns the session and its raw refresh token
+sessionSchema.statics.createForUser = async function(userId, details = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await this.create({
+    ...details,
+    user: userId,
+    tokenHash: this.hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtl())
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Resolves to { session, refreshToken } on success, { reused: true } when a
+// rotated-out token is presented (the session is revoked), or null.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const tokenHash = this.hashToken(refreshToken);
+  const nextToken = nextRefreshToken(refreshToken);
+  const now = new Date();
+
+  // Atomic swap so two concurrent refreshes can't both rotate
+  const session = await this.findOneAndUpdate(
+    {
+      tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        tokenHash: this.hashToken(nextToken),
+        rotatedFromHash: tokenHash,
+        rotatedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenTtl())
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -100 }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  // The token was rotated out moments ago (another tab got there first):
+  // hand back the token it was rotated to
+  const current = await this.findOne({
+    rotatedFromHash: tokenHash,
+    tokenHash: this.hashToken(nextToken),
+    rotatedAt: { $gt: new Date(now.getTime() - rotationGraceMs()) },
+    revokedAt: null,
+    expiresAt: { $gt: now }
+  });
+
+  if (current) {
+    return { session: current, refreshToken: nextToken };
+  }
+
+  const compromised = await this.findOne({ previousTokenHashes: tokenHash });
+
+  if (compromised) {
+    await compromised.revoke('refresh_token_reuse');
+    return { reused: true, session: compromised };
+  }
+
+  return null;
+};
+
+// Static method to look up the live session for a raw refresh token
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  return this.findOne({
+    tokenHash: this.hashToken(refreshToken),
+    revokedAt: null
+  });
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// Static method to find a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Instance method to record activity, written at most once a minute
+sessionSchema.methods.touch = function(details = {}) {
+  const stale = Date.now() - this.lastSeenAt.getTime() > 60 * 1000;
+  const moved = details.ip && details.ip !== this.ip;
+
+  if (!stale && !moved) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = new Date();
+  if (details.ip) this.ip = details.ip;
+  if (details.userAgent) this.userAgent = details.userAgent;
+
+  return this.save();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { ROLES, hasPermission, permissionsFor } = require('../config/permissions');
+const { policy } = require('../utils/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -27,6 +31,11 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+  // Hashes of recent previous passwords, newest first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   firstName: {
     type: String,
     required: [true, 'Please provide a first name'],
@@ -47,9 +56,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Square renditions of an uploaded avatar (avatar is the 256px one)
+  avatarVariants: {
+    small: String, // 64px
+    medium: String, // 128px
+    large: String // 256px
+  },
+  // Storage keys of the uploaded avatar files, removed when replaced
+  avatarStorageKeys: {
+    type: [String],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
@@ -67,7 +87,83 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
-  emailVerificationExpire: Date
+  emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
+  // Address awaiting confirmation; `email` only changes once it is confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpire: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  oauthLoginCode: {
+    type: String,
+    select: false
+  },
+  oauthLoginExpire: {
+    type: Date,
+    select: false
+  },
+  // Account deletion: the account is deactivated at deletionRequestedAt and
+  // purged at deletionScheduledFor unless the user logs in before then
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // Chosen by an admin before the purge; posts are deleted unless reassigned
+  deletionPostAction: {
+    type: String,
+    enum: ['delete', 'reassign'],
+    default: 'delete'
+  },
+  deletionReassignTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -79,6 +175,21 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for the permissions granted by the user's role
+userSchema.virtual('permissions').get(function() {
+  return permissionsFor(this.role);
+});
+
+// Virtual for whether the account is in its deletion grace period
+userSchema.virtual('isPendingDeletion').get(function() {
+  return !this.isActive && Boolean(this.deletionScheduledFor) && this.deletionScheduledFor > new Date();
+});
+
+// Virtual for whether the account may log in (logging in cancels a pending deletion)
+userSchema.virtual('canLogIn').get(function() {
+  return this.isActive || this.isPendingDeletion;
+});
+
 // Virtual for post count
 userSchema.virtual('postCount', {
   ref: 'Post',
@@ -87,12 +198,35 @@ userSchema.virtual('postCount', {
   count: true
 });
 
+// Virtual for follower count
+userSchema.virtual('followerCount', {
+  ref: 'Follow',
+  localField: '_id',
+  foreignField: 'target',
+  count: true,
+  match: { targetModel: 'User' }
+});
+
+// Virtual for the number of authors and categories followed
+userSchema.virtual('followingCount', {
+  ref: 'Follow',
+  localField: '_id',
+  foreignField: 'follower',
+  count: true
+});
+
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 
 // Hash password before saving
+// Remember the stored hash so a password change can move it into the history
+userSchema.post('init', function() {
+  this.$locals.previousPasswordHash = this.password;
+});
+
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified('password')) {
@@ -100,9 +234,18 @@ userSchema.pre('save', async function(next) {
   }
 
   try {
+    const { historyCount } = policy();
+    const previousHash = this.$locals.previousPasswordHash;
+
+    // History is only kept when it was loaded, so a partial document cannot overwrite it
+    if (previousHash && historyCount > 0 && this.isSelected('passwordHistory')) {
+      this.passwordHistory = [previousHash, ...(this.passwordHistory || [])].slice(0, historyCount);
+    }
+
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.$locals.previousPasswordHash = this.password;
     next();
   } catch (error) {
     next(error);
@@ -117,26 +260,137 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to check a permission from the role matrix
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
 // Instance method to check password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Instance method to generate JWT token
-userSchema.methods.getSignedJwtToken = function() {
+// Instance method to check a candidate against the current and recent passwords.
+// Needs `+password +passwordHistory` selected.
+userSchema.methods.isPasswordReused = async function(candidate) {
+  const { historyCount } = policy();
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, historyCount)]
+    .filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidate, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Instance method to generate a short-lived JWT access token bound to a session
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
       username: this.username,
-      role: this.role 
+      role: this.role,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: process.env.JWT_EXPIRE || '15m'
     }
   );
 };
 
+// Instance method to generate and hash a password reset token
+userSchema.methods.getResetPasswordToken = function(
+  expiresInMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10
+) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the hash is stored; the raw token is emailed to the user
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+
+  this.resetPasswordExpire = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Instance method to generate and hash an email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpire = Date.now() +
+    (parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24) * 60 * 60 * 1000;
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Instance method to start an email change, returns the raw confirmation token
+userSchema.methods.getEmailChangeToken = function(newEmail) {
+  const changeToken = crypto.randomBytes(32).toString('hex');
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = this.constructor.hashToken(changeToken);
+  this.emailChangeExpire = Date.now() +
+    (parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24) * 60 * 60 * 1000;
+
+  return changeToken;
+};
+
+// Instance method to discard a pending email change
+userSchema.methods.clearEmailChange = function() {
+  this.pendingEmail = null;
+  this.emailChangeToken = undefined;
+  this.emailChangeExpire = undefined;
+};
+
+// Instance method to generate one-time backup codes, returns the raw codes
+userSchema.methods.generateBackupCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () =>
+    crypto.randomBytes(5).toString('hex').match(/.{5}/g).join('-')
+  );
+
+  this.twoFactorBackupCodes = codes.map(code => this.constructor.hashToken(code));
+
+  return codes;
+};
+
+// Instance method to check a TOTP or backup code (requires the 2FA fields selected).
+// Used backup codes and TOTP steps are consumed; the caller must save the user.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) {
+    return false;
+  }
+
+  const step = totp.verify(code, this.twoFactorSecret);
+
+  if (step !== null) {
+    // Reject a code that has already been used in this time step
+    if (this.twoFactorLastStep && step <= this.twoFactorLastStep) {
+      return false;
+    }
+    this.twoFactorLastStep = step;
+    return true;
+  }
+
+  const hash = this.constructor.hashToken(String(code || '').trim().toLowerCase());
+  const index = (this.twoFactorBackupCodes || []).indexOf(hash);
+
+  if (index !== -1) {
+    this.twoFactorBackupCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Static method to hash a raw token for lookups
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Static method to find user by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
@@ -154,6 +408,48 @@ userSchema.statics.findByCredentials = async function(email, password) {
   return user;
 };
 
+// Static method to find the user linked to an external identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Static method to derive an unused username from a provider hint
+userSchema.statics.generateUniqueUsername = async function(hint) {
+  let base = String(hint || '')
+    .split('@')[0]
+    .replace(/[^a-zA-Z0-9_]/g, '')
+    .slice(0, 24);
+
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+
+  if (!(await this.exists({ username: base }))) {
+    return base;
+  }
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = `${base}_${crypto.randomInt(1000, 100000)}`;
+    if (!(await this.exists({ username: candidate }))) {
+      return candidate;
+    }
+  }
+
+  return `${base.slice(0, 17)}_${crypto.randomBytes(6).toString('hex')}`;
+};
+
+// Instance method to issue a one-time code for finishing an external login
+userSchema.methods.getOAuthLoginCode = function() {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  this.oauthLoginCode = this.constructor.hashToken(code);
+  this.oauthLoginExpire = Date.now() + 60 * 1000;
+
+  return code;
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
@@ -165,30 +461,56 @@ userSchema.methods.deactivate = function() {
   return this.save();
 };
 
-// Pre-remove middleware to clean up related data
-userSchema.pre('remove', async function(next) {
-  try {
-    // Remove all posts by this user
-    await this.model('Post').deleteMany({ author: this._id });
-    
-    // Remove all comments by this user
-    await this.model('Comment').deleteMany({ author: this._id });
-    
-    next();
-  } catch (error) {
-    next(error);
+// Instance method to deactivate the account and schedule its purge
+userSchema.methods.scheduleDeletion = function(graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) {
+  this.isActive = false;
+  this.deletionRequestedAt = new Date();
+  this.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to cancel a scheduled deletion, including one past its grace
+// period that has not been purged yet (the caller saves)
+userSchema.methods.cancelDeletion = function() {
+  if (!this.deletionScheduledFor) {
+    return false;
   }
-});
+
+  this.isActive = true;
+  this.deletionRequestedAt = null;
+  this.deletionScheduledFor = null;
+  this.deletionPostAction = 'delete';
+  this.deletionReassignTo = null;
+  return true;
+};
+
+// Static method to find accounts whose grace period has ended
+userSchema.statics.findDueForPurge = function(limit = 50) {
+  return this.find({
+    isActive: false,
+    deletionScheduledFor: { $ne: null, $lte: new Date() }
+  }).limit(limit);
+};
 
 // Transform output to remove sensitive information
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   
   delete userObject.password;
+  delete userObject.passwordHistory;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
   delete userObject.emailVerificationToken;
   delete userObject.emailVerificationExpire;
+  delete userObject.emailVerificationSentAt;
+  delete userObject.avatarStorageKeys;
+  delete userObject.emailChangeToken;
+  delete userObject.emailChangeExpire;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorBackupCodes;
+  delete userObject.twoFactorLastStep;
+  delete userObject.oauthLoginCode;
+  delete userObject.oauthLoginExpire;
   
   return userObject;
 };
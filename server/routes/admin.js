@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  getUserPosts,
+  getUserComments,
+  unlockUser,
+  changeUserRole,
+  getPendingDeletions,
+  setDeletionPostAction,
+  getAuditEvents,
+  getInvitations,
+  createInvitation,
+  revokeInvitation
+} = require('../controllers/adminController');
+const { protect, sessionOnly, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+// Validation rules
+const userListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  query('emailVerified')
+    .optional()
+    .isBoolean()
+    .withMessage('emailVerified must be true or false')
+    .toBoolean(),
+  query('createdFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('createdFrom must be a date')
+    .toDate(),
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .withMessage('createdTo must be a date')
+    .toDate(),
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'lastLogin', 'username', 'email'])
+    .withMessage('Invalid sort field'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const changeRoleValidation = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const deletionPostActionValidation = [
+  body('postAction')
+    .isIn(['delete', 'reassign'])
+    .withMessage('Post action must be delete or reassign'),
+  body('reassignTo')
+    .if(body('postAction').equals('reassign'))
+    .isMongoId()
+    .withMessage('A user to reassign posts to is required')
+];
+
+const auditValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be success or failure'),
+  query(['actor', 'target', 'user'])
+    .optional()
+    .isMongoId()
+    .withMessage('Must be a valid user id'),
+  query('ip')
+    .optional()
+    .isIP()
+    .withMessage('Must be a valid IP address'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Must be a date')
+    .toDate()
+];
+
+const invitationValidation = [
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000')
+    .toInt(),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Every admin route requires an interactive login
+router.use(protect, sessionOnly);
+
+router.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), userListValidation, getUsers);
+router.get('/users/pending-deletion', requirePermission(PERMISSIONS.USERS_MANAGE), getPendingDeletions);
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), getUser);
+router.get('/users/:id/posts', requirePermission(PERMISSIONS.USERS_MANAGE), getUserPosts);
+router.get('/users/:id/comments', requirePermission(PERMISSIONS.USERS_MANAGE), getUserComments);
+router.post('/users/:id/unlock', requirePermission(PERMISSIONS.USERS_MANAGE), unlockUser);
+router.put('/users/:id/deactivate', requirePermission(PERMISSIONS.USERS_MANAGE), deactivateUser);
+router.put('/users/:id/reactivate', requirePermission(PERMISSIONS.USERS_MANAGE), reactivateUser);
+router.post('/users/:id/password-reset', requirePermission(PERMISSIONS.USERS_MANAGE), forcePasswordReset);
+router.put(
+  '/users/:id/role',
+  requirePermission(PERMISSIONS.USERS_ASSIGN_ROLES),
+  changeRoleValidation,
+  changeUserRole
+);
+router.put(
+  '/users/:id/deletion',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  deletionPostActionValidation,
+  setDeletionPostAction
+);
+
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), auditValidation, getAuditEvents);
+
+router.get('/invitations', requirePermission(PERMISSIONS.USERS_MANAGE), getInvitations);
+router.post(
+  '/invitations',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  invitationValidation,
+  createInvitation
+);
+router.delete('/invitations/:id', requirePermission(PERMISSIONS.USERS_MANAGE), revokeInvitation);
+
+module.exports = router;
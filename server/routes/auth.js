@@ -2,14 +2,48 @@ const express = require('express');
 const { body } = require('express-validator');
 const {
   register,
+  getRegistrationStatus,
   login,
   getMe,
   updateProfile,
   changePassword,
   logout,
-  deleteAccount
+  deleteAccount,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  getSessions,
+  getSecurityEvents,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getOAuthProviders,
+  startOAuth,
+  startOAuthLink,
+  oauthCallback,
+  exchangeOAuthCode,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  updateAvatar,
+  deleteAvatar,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, sessionOnly, requireScope } = require('../middleware/auth');
+const { singleImage } = require('../middleware/upload');
+const { passwordRule } = require('../utils/passwordPolicy');
+const ApiToken = require('../models/ApiToken');
 
 const router = express.Router();
 
@@ -27,11 +61,7 @@ const registerValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordRule('password'),
   
   body('firstName')
     .trim()
@@ -47,7 +77,13 @@ const registerValidation = [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Bio cannot exceed 500 characters')
+    .withMessage('Bio cannot exceed 500 characters'),
+
+  body('inviteCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invitation code is invalid')
 ];
 
 const loginValidation = [
@@ -94,11 +130,7 @@ const changePasswordValidation = [
     .notEmpty()
     .withMessage('Current password is required'),
   
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordRule('newPassword'),
   
   body('confirmPassword')
     .custom((value, { req }) => {
@@ -109,21 +141,138 @@ const changePasswordValidation = [
     })
 ];
 
+// Optional square crop, sent as multipart fields alongside the image
+const avatarValidation = ['cropX', 'cropY', 'cropSize'].map(field =>
+  body(field)
+    .optional()
+    .isInt({ min: field === 'cropSize' ? 1 : 0 })
+    .withMessage(`${field} must be a ${field === 'cropSize' ? 'positive' : 'non-negative'} integer`)
+    .toInt()
+);
+
+const changeEmailValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to change email')
+];
+
 const deleteAccountValidation = [
   body('password')
     .notEmpty()
     .withMessage('Password is required to delete account')
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  passwordRule('password'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    })
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Login challenge token is required'),
+
+  ...twoFactorCodeValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...twoFactorCodeValidation
+];
+
+const createApiTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name is required and must be less than 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+
+  body('scopes.*')
+    .isIn(ApiToken.SCOPES)
+    .withMessage(`Scopes must be any of: ${ApiToken.SCOPES.join(', ')}`),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt()
+];
+
+// Account management requires an interactive login, not a personal access token
+const protectSession = [protect, sessionOnly];
+
 // Routes
+router.get('/registration', getRegistrationStatus);
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
 router.post('/logout', logout);
+router.post('/refresh', refreshToken);
+router.post('/2fa/verify', twoFactorLoginValidation, verifyTwoFactorLogin);
+router.get('/oauth/providers', getOAuthProviders);
+router.post('/oauth/exchange', exchangeOAuthCode);
+router.get('/oauth/:provider', startOAuth);
+router.get('/oauth/:provider/callback', oauthCallback);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.put('/reset-password/:token', resetPasswordValidation, resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.get('/email/confirm/:token', confirmEmailChange);
+router.get('/export/:id/download', downloadDataExport);
 
 // Protected routes
-router.get('/me', protect, getMe);
-router.put('/profile', protect, updateProfileValidation, updateProfile);
-router.put('/password', protect, changePasswordValidation, changePassword);
-router.delete('/account', protect, deleteAccountValidation, deleteAccount);
+router.get('/me', protect, requireScope('profile:read'), getMe);
+router.post('/verify-email/resend', protectSession, resendVerification);
+router.put('/profile', protectSession, updateProfileValidation, updateProfile);
+router.put('/avatar', protectSession, singleImage('avatar'), avatarValidation, updateAvatar);
+router.delete('/avatar', protectSession, deleteAvatar);
+router.put('/password', protectSession, changePasswordValidation, changePassword);
+router.post('/email', protectSession, changeEmailValidation, requestEmailChange);
+router.delete('/email', protectSession, cancelEmailChange);
+router.delete('/account', protectSession, deleteAccountValidation, deleteAccount);
+router.get('/sessions', protectSession, getSessions);
+router.get('/security-events', protectSession, getSecurityEvents);
+router.delete('/sessions', protectSession, revokeOtherSessions);
+router.delete('/sessions/:id', protectSession, revokeSession);
+router.post('/oauth/:provider/link', protectSession, startOAuthLink);
+router.post('/2fa/setup', protectSession, setupTwoFactor);
+router.post('/2fa/enable', protectSession, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', protectSession, disableTwoFactorValidation, disableTwoFactor);
+router.post('/2fa/backup-codes', protectSession, twoFactorCodeValidation, regenerateBackupCodes);
+router.get('/tokens', protectSession, getApiTokens);
+router.post('/tokens', protectSession, createApiTokenValidation, createApiToken);
+router.delete('/tokens/:id', protectSession, revokeApiToken);
+router.post('/export', protectSession, requestDataExport);
+router.get('/export', protectSession, getDataExports);
 
 module.exports = router;
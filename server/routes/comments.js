@@ -0,0 +1,78 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getComments,
+  getReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  toggleCommentLike,
+  getModerationQueue,
+  approveComment,
+  rejectComment
+} = require('../controllers/commentController');
+const {
+  protect,
+  optionalAuth,
+  checkOwnership,
+  requireVerifiedEmail,
+  requireScope,
+  requirePermission
+} = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const Comment = require('../models/Comment');
+
+// mergeParams exposes :postId when mounted under /api/posts/:postId/comments
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const commentValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+
+  body('parentComment')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent comment')
+];
+
+const updateCommentValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+];
+
+// Routes under /api/posts/:postId/comments
+router.get('/', optionalAuth, getComments);
+router.post('/', protect, requireScope('comments:write'), requirePermission(PERMISSIONS.COMMENTS_CREATE), requireVerifiedEmail, commentValidation, createComment);
+
+// Routes under /api/comments
+// Moderation
+const moderate = [protect, requireScope('comments:moderate'), requirePermission(PERMISSIONS.COMMENTS_MODERATE)];
+
+router.get('/moderation', moderate, getModerationQueue);
+router.put('/:id/approve', moderate, approveComment);
+router.put('/:id/reject', moderate, rejectComment);
+
+router.get('/:id/replies', optionalAuth, getReplies);
+router.put(
+  '/:id',
+  protect,
+  requireScope('comments:write'),
+  checkOwnership(Comment, { own: PERMISSIONS.COMMENTS_EDIT_OWN, any: PERMISSIONS.COMMENTS_MODERATE }),
+  updateCommentValidation,
+  updateComment
+);
+router.delete(
+  '/:id',
+  protect,
+  requireScope('comments:write'),
+  checkOwnership(Comment, { own: PERMISSIONS.COMMENTS_DELETE_OWN, any: PERMISSIONS.COMMENTS_MODERATE }),
+  deleteComment
+);
+router.post('/:id/like', protect, requireScope('comments:write'), toggleCommentLike);
+
+module.exports = router;
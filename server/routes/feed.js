@@ -0,0 +1,10 @@
+const express = require('express');
+const { getFeed } = require('../controllers/followController');
+const { protect, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Personalized feed of followed authors and categories
+router.get('/', protect, requireScope('posts:read'), getFeed);
+
+module.exports = router;
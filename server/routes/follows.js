@@ -0,0 +1,25 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getFollowing, follow, unfollow } = require('../controllers/followController');
+const { protect, sessionOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const followValidation = [
+  body('type')
+    .isIn(['author', 'category'])
+    .withMessage('Type must be author or category'),
+
+  body('id')
+    .isMongoId()
+    .withMessage('A valid id is required')
+];
+
+router.use(protect, sessionOnly);
+
+router.get('/', getFollowing);
+router.post('/', followValidation, follow);
+router.delete('/:type/:id', unfollow);
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getAllPosts,
+  getPost,
+  createPost,
+  updatePost,
+  deletePost,
+  toggleLike,
+  getFeaturedPosts,
+  searchPosts,
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+  getAutosave,
+  autosavePost,
+  discardAutosave,
+  promoteAutosave
+} = require('../controllers/postController');
+const {
+  protect,
+  optionalAuth,
+  checkOwnership,
+  requireVerifiedEmail,
+  requireScope,
+  requirePermission
+} = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { slugify } = require('../utils/slug');
+const Post = require('../models/Post');
+const commentRoutes = require('./comments');
+
+const router = express.Router();
+
+// Upper bound on post content, which keeps rendering and revision diffs cheap
+const MAX_CONTENT_LENGTH = 100000;
+
+// Validation rules
+const createPostValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Slug cannot exceed 80 characters')
+    .custom(value => slugify(value) !== '')
+    .withMessage('Slug must contain letters or numbers'),
+
+  body('content')
+    .isLength({ min: 50, max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content must be between 50 and ${MAX_CONTENT_LENGTH} characters long`),
+
+  body('excerpt')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Excerpt cannot exceed 300 characters'),
+
+  body('category')
+    .isMongoId()
+    .withMessage('Please select a valid category'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Invalid post status'),
+
+  body(['publishAt', 'unpublishAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Must be a date and time')
+    .toDate()
+];
+
+const updatePostValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Slug cannot exceed 80 characters')
+    .custom(value => slugify(value) !== '')
+    .withMessage('Slug must contain letters or numbers'),
+
+  body('content')
+    .optional()
+    .isLength({ min: 50, max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content must be between 50 and ${MAX_CONTENT_LENGTH} characters long`),
+
+  body('excerpt')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Excerpt cannot exceed 300 characters'),
+
+  body('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Please select a valid category'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Invalid post status'),
+
+  body(['publishAt', 'unpublishAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Must be a date and time')
+    .toDate()
+];
+
+const revisionDiffValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+    .toInt()
+];
+
+// Autosaves are work in progress, so only size limits apply
+const autosaveValidation = [
+  body('title')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('content')
+    .optional()
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Content cannot exceed ${MAX_CONTENT_LENGTH} characters`),
+
+  body('excerpt')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Excerpt cannot exceed 300 characters'),
+
+  body('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Please select a valid category'),
+
+  body('baseRevision')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Base revision must be a non-negative integer')
+    .toInt()
+];
+
+// Revisions are visible to anyone who may edit the post
+const canEditPost = checkOwnership(Post, {
+  own: PERMISSIONS.POSTS_EDIT_OWN,
+  any: PERMISSIONS.POSTS_EDIT_ANY
+});
+
+// Unverified users may save drafts but not publish or schedule
+const verifiedToPublish = (req, res, next) => (
+  ['published', 'scheduled'].includes(req.body.status) ? requireVerifiedEmail(req, res, next) : next()
+);
+
+// Re-route into comment router
+router.use('/:postId/comments', commentRoutes);
+
+// Public routes
+router.get('/', optionalAuth, getAllPosts);
+router.get('/featured', getFeaturedPosts);
+router.get('/search', searchPosts);
+router.get('/:identifier', optionalAuth, getPost);
+
+// Protected routes
+router.post('/', protect, requireScope('posts:write'), requirePermission(PERMISSIONS.POSTS_CREATE), verifiedToPublish, createPostValidation, createPost);
+router.put(
+  '/:id',
+  protect,
+  requireScope('posts:write'),
+  canEditPost,
+  verifiedToPublish,
+  updatePostValidation,
+  updatePost
+);
+router.delete(
+  '/:id',
+  protect,
+  requireScope('posts:write'),
+  checkOwnership(Post, { own: PERMISSIONS.POSTS_DELETE_OWN, any: PERMISSIONS.POSTS_DELETE_ANY }),
+  deletePost
+);
+router.post('/:id/like', protect, requireScope('posts:write'), toggleLike);
+
+// Revision history
+router.get('/:id/revisions', protect, requireScope('posts:read'), canEditPost, getRevisions);
+router.get(
+  '/:id/revisions/diff',
+  protect,
+  requireScope('posts:read'),
+  canEditPost,
+  revisionDiffValidation,
+  getRevisionDiff
+);
+router.post(
+  '/:id/revisions/:rev/restore',
+  protect,
+  requireScope('posts:write'),
+  canEditPost,
+  restoreRevision
+);
+
+// Autosave
+router.get('/:id/autosave', protect, requireScope('posts:read'), canEditPost, getAutosave);
+router.put(
+  '/:id/autosave',
+  protect,
+  requireScope('posts:write'),
+  canEditPost,
+  autosaveValidation,
+  autosavePost
+);
+router.delete('/:id/autosave', protect, requireScope('posts:write'), canEditPost, discardAutosave);
+router.post('/:id/autosave/promote', protect, requireScope('posts:write'), canEditPost, promoteAutosave);
+
+module.exports = router;
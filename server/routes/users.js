@@ -0,0 +1,9 @@
+const express = require('express');
+const { getUserProfile } = require('../controllers/userController');
+
+const router = express.Router();
+
+// Public author profiles
+router.get('/:username', getUserProfile);
+
+module.exports = router;
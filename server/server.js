@@ -3,21 +3,31 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const hpp = require('hpp');
-const path = require('path');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
+const { checkMailTransport } = require('./utils/mailer');
+const { uploadDir } = require('./utils/storage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
 const commentRoutes = require('./routes/comments');
+const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/users');
+const followRoutes = require('./routes/follows');
+const feedRoutes = require('./routes/feed');
+
+// Refuse to start without a usable mail transport (throws in production if unset)
+checkMailTransport();
 
 // Connect to MongoDB
 connectDB();
@@ -39,6 +49,9 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Cookie parser (auth token cookie)
+app.use(cookieParser());
+
 // Data sanitization against NoSQL query injection
 app.use(mongoSanitize());
 
@@ -65,7 +78,10 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files are loaded by the client from another origin
+app.use('/uploads', express.static(uploadDir(), {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -82,6 +98,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/follows', followRoutes);
+app.use('/api/feed', feedRoutes);
 
 // Catch all handler for undefined routes
 app.all('*', (req, res, next) => {
@@ -100,6 +120,11 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background jobs (account purge, export cleanup, scheduled posts); disable on extra instances
+if (process.env.DISABLE_JOBS !== 'true') {
+  startJobs();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`❌ Error: ${err.message}`);
@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.MAIL_TRANSPORT = 'test';
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { registerTransport } = require('../../utils/mailer');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Category = require('../../models/Category');
+const Post = require('../../models/Post');
+
+// Messages sent through the mailer during a test
+const sentMail = [];
+registerTransport('test', {
+  send: async (message) => {
+    sentMail.push(message);
+  }
+});
+
+// The API routes as server.js mounts them, without the process-level setup
+// (database connection, rate limiting, background jobs)
+const createApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(cookieParser());
+
+  app.use('/api/auth', require('../../routes/auth'));
+  app.use('/api/posts', require('../../routes/posts'));
+  app.use('/api/comments', require('../../routes/comments'));
+  app.use('/api/admin', require('../../routes/admin'));
+  app.use('/api/users', require('../../routes/users'));
+  app.use('/api/follows', require('../../routes/follows'));
+  app.use('/api/feed', require('../../routes/feed'));
+
+  return app;
+};
+
+let userCount = 0;
+
+// Create a user; every account shares the same password
+const PASSWORD = 'correct horse battery staple';
+
+const createUser = (overrides = {}) => {
+  userCount += 1;
+  return User.create({
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: PASSWORD,
+    firstName: 'Test',
+    lastName: `User ${userCount}`,
+    emailVerified: true,
+    ...overrides
+  });
+};
+
+// Start a session for a user and return its access token
+const signIn = async (user) => {
+  const { session } = await Session.createForUser(user._id, { userAgent: 'jest', ip: '127.0.0.1' });
+  return user.getSignedJwtToken(session._id);
+};
+
+let categoryCount = 0;
+
+// Create a post (published unless overridden) in a new category
+const createPost = async (author, overrides = {}) => {
+  categoryCount += 1;
+  const category = await Category.create({ name: `Category ${categoryCount}` });
+
+  return Post.create({
+    title: 'A post about testing',
+    content: 'Content long enough to pass the post validation rules in the API.',
+    author: author._id,
+    category: category._id,
+    status: 'published',
+    ...overrides
+  });
+};
+
+module.exports = {
+  PASSWORD,
+  createApp,
+  createUser,
+  createPost,
+  signIn,
+  sentMail
+};
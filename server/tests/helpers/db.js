@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Integration tests run against MONGODB_URI_TEST when set, otherwise against
+// an in-memory mongod started by mongodb-memory-server. Each test file gets
+// its own database, emptied after every test.
+const setupDatabase = () => {
+  let memoryServer;
+
+  beforeAll(async () => {
+    let uri = process.env.MONGODB_URI_TEST;
+
+    if (!uri) {
+      const { MongoMemoryServer } = require('mongodb-memory-server');
+      memoryServer = await MongoMemoryServer.create();
+      uri = memoryServer.getUri();
+    }
+
+    await mongoose.connect(uri, {
+      dbName: `mern-blog-test-${process.pid}-${Date.now()}`
+    });
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  }, 120000);
+
+  afterEach(async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+
+    if (memoryServer) {
+      await memoryServer.stop();
+    }
+  });
+};
+
+module.exports = { setupDatabase };
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, createPost, signIn } = require('../helpers/app');
+const { purgeAccount, purgeDueAccounts } = require('../../utils/accountPurge');
+const User = require('../../models/User');
+const Post = require('../../models/Post');
+const Comment = require('../../models/Comment');
+const Session = require('../../models/Session');
+const AuditEvent = require('../../models/AuditEvent');
+
+setupDatabase();
+
+const app = createApp();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A deactivated account whose grace period ended yesterday
+const createDeletedUser = (overrides = {}) => createUser({
+  isActive: false,
+  deletionScheduledFor: new Date(Date.now() - DAY),
+  ...overrides
+});
+
+describe('account purge', () => {
+  it('purges only accounts whose grace period has ended', async () => {
+    const due = await createDeletedUser();
+    const waiting = await createDeletedUser({ deletionScheduledFor: new Date(Date.now() + DAY) });
+
+    expect(await purgeDueAccounts()).toBe(1);
+
+    expect(await User.findById(due._id)).toBeNull();
+    expect(await User.findById(waiting._id)).not.toBeNull();
+  });
+
+  it('deletes the posts, sessions and likes of the account', async () => {
+    const user = await createDeletedUser();
+    const other = await createUser();
+    const post = await createPost(user);
+    const otherPost = await createPost(other, { likes: [{ user: user._id }] });
+    await signIn(user);
+
+    await purgeAccount(user);
+
+    expect(await Post.findById(post._id)).toBeNull();
+    expect((await Post.findById(otherPost._id)).likes).toHaveLength(0);
+    expect(await Session.countDocuments({ user: user._id })).toBe(0);
+  });
+
+  it('reassigns the posts when the admin chose to', async () => {
+    const editor = await createUser();
+    const user = await createDeletedUser({ deletionPostAction: 'reassign', deletionReassignTo: editor._id });
+    const post = await createPost(user);
+
+    const result = await purgeAccount(user);
+
+    expect(result.postsReassignedTo).toEqual(editor._id);
+    expect((await Post.findById(post._id)).author).toEqual(editor._id);
+  });
+
+  it('keeps comments in their threads without their author', async () => {
+    const user = await createDeletedUser();
+    const other = await createUser();
+    const post = await createPost(other);
+    const comment = await Comment.create({ content: 'Still here', post: post._id, author: user._id });
+
+    await purgeAccount(user);
+
+    const stored = await Comment.findById(comment._id).lean();
+    expect(stored.author).toBeNull();
+    expect(stored.authorDeleted).toBe(true);
+    expect(stored.authorPlaceholder).toEqual({ username: 'deleted user', fullName: 'Deleted user', avatar: null });
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].content).toBe('Still here');
+    expect(res.body.data[0].author.username).toBe('deleted user');
+    expect(res.body.data[0].authorPlaceholder).toBeUndefined();
+  });
+
+  it('redacts the username and email addresses from the audit log', async () => {
+    const user = await createDeletedUser({ email: 'current@example.com' });
+    const other = await createUser({ email: 'other@example.com' });
+
+    await AuditEvent.record(null, 'auth.profile_update', {
+      actor: user, details: { fields: ['username'], previousUsername: 'old-name' }
+    });
+    await AuditEvent.record(null, 'auth.email_change', {
+      actor: user, details: { from: 'previous@example.com', to: 'current@example.com' }
+    });
+    await AuditEvent.record(null, 'auth.login_failed', {
+      actor: null, target: null, details: { email: 'previous@example.com', reason: 'unknown_email' }
+    });
+    await AuditEvent.record(null, 'auth.login_failed', {
+      actor: null, target: null, details: { email: 'other@example.com', reason: 'unknown_email' }
+    });
+    await AuditEvent.record(null, 'admin.user_role_change', {
+      actor: other, target: user, details: { from: 'user', to: 'author' }
+    });
+
+    await purgeAccount(user);
+
+    const details = async (action, query = {}) =>
+      (await AuditEvent.findOne({ action, ...query }).lean()).details;
+
+    expect(await details('auth.profile_update')).toEqual({ fields: ['username'], previousUsername: '[redacted]' });
+    expect(await details('auth.email_change')).toEqual({ from: '[redacted]', to: '[redacted]' });
+    expect((await details('auth.login_failed', { 'details.reason': 'unknown_email', 'details.email': { $ne: 'other@example.com' } })).email)
+      .toBe('[redacted]');
+    expect(await AuditEvent.countDocuments({ 'details.email': 'other@example.com' })).toBe(1);
+    expect(await details('admin.user_role_change')).toEqual({ from: 'user', to: 'author' });
+
+    const purge = await details('system.account_purge', { target: user._id });
+    expect(JSON.stringify(purge)).not.toContain(user.username);
+  });
+});
@@ -0,0 +1,105 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, createPost, signIn } = require('../helpers/app');
+const Post = require('../../models/Post');
+
+setupDatabase();
+
+const app = createApp();
+
+describe('protect', () => {
+  it('accepts a Bearer token', async () => {
+    const user = await createUser();
+    const token = await signIn(user);
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.username).toBe(user.username);
+  });
+
+  it('accepts the token cookie', async () => {
+    const user = await createUser();
+    const token = await signIn(user);
+
+    const res = await request(app).get('/api/auth/me').set('Cookie', `token=${token}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('rejects requests without a token or with a forged one', async () => {
+    expect((await request(app).get('/api/auth/me')).status).toBe(401);
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', 'Bearer not-a-jwt');
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects deactivated users', async () => {
+    const user = await createUser();
+    const token = await signIn(user);
+    await user.updateOne({ isActive: false });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/deactivated/);
+  });
+});
+
+describe('ownership guards', () => {
+  it('lets the author edit and delete their post', async () => {
+    const author = await createUser();
+    const post = await createPost(author);
+    const token = await signIn(author);
+
+    const update = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'A renamed post' });
+    expect(update.status).toBe(200);
+
+    const remove = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(remove.status).toBe(200);
+    expect(await Post.findById(post._id)).toBeNull();
+  });
+
+  it("stops other users from editing or deleting someone else's post", async () => {
+    const post = await createPost(await createUser());
+    const token = await signIn(await createUser());
+
+    const update = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'A hijacked post' });
+    expect(update.status).toBe(403);
+
+    const remove = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(remove.status).toBe(403);
+    expect(await Post.findById(post._id)).not.toBeNull();
+  });
+
+  it("lets an admin delete anyone's post", async () => {
+    const post = await createPost(await createUser());
+    const token = await signIn(await createUser({ role: 'admin' }));
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('answers 404 for a missing post', async () => {
+    const token = await signIn(await createUser());
+
+    const res = await request(app)
+      .delete('/api/posts/000000000000000000000000')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
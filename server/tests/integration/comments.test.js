@@ -0,0 +1,59 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, createPost, signIn } = require('../helpers/app');
+const Comment = require('../../models/Comment');
+
+setupDatabase();
+
+const app = createApp();
+
+const addComment = (post, author, overrides = {}) =>
+  Comment.create({ content: 'A comment', post: post._id, author: author._id, isApproved: true, ...overrides });
+
+describe('comment listing', () => {
+  it('lists approved comments on a published post', async () => {
+    const author = await createUser();
+    const post = await createPost(author);
+    const comment = await addComment(post, author);
+    await addComment(post, author, { parentComment: comment._id });
+    await addComment(post, author, { isApproved: false });
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.pagination.totalComments).toBe(1);
+
+    const replies = await request(app).get(`/api/comments/${comment._id}/replies`);
+    expect(replies.status).toBe(200);
+    expect(replies.body.data).toHaveLength(1);
+  });
+
+  it('requires a valid post ID', async () => {
+    expect((await request(app).get('/api/comments')).status).toBe(400);
+    expect((await request(app).get('/api/posts/not-an-id/comments')).status).toBe(400);
+    expect((await request(app).get('/api/posts/000000000000000000000000/comments')).status).toBe(404);
+  });
+
+  it('hides comments on drafts from everyone who may not edit the post', async () => {
+    const author = await createUser();
+    const post = await createPost(author, { status: 'draft' });
+    const comment = await addComment(post, author);
+    await addComment(post, author, { parentComment: comment._id });
+
+    expect((await request(app).get(`/api/posts/${post._id}/comments`)).status).toBe(404);
+    expect((await request(app).get(`/api/comments/${comment._id}/replies`)).status).toBe(404);
+
+    const stranger = await signIn(await createUser());
+    const hidden = await request(app)
+      .get(`/api/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${stranger}`);
+    expect(hidden.status).toBe(404);
+
+    const own = await request(app)
+      .get(`/api/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${await signIn(author)}`);
+    expect(own.status).toBe(200);
+    expect(own.body.data).toHaveLength(1);
+  });
+});
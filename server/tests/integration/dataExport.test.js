@@ -0,0 +1,77 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, signIn } = require('../helpers/app');
+const DataExport = require('../../models/DataExport');
+const dataExport = require('../../utils/dataExport');
+
+setupDatabase();
+
+const app = createApp();
+
+const HOUR = 60 * 60 * 1000;
+
+// An export last touched `ageMs` ago, as if its build was still running then
+const createExport = async (user, status, ageMs) => {
+  const updatedAt = new Date(Date.now() - ageMs);
+  const { insertedId } = await DataExport.collection.insertOne({
+    user: user._id,
+    status,
+    expiresAt: new Date(Date.now() + 48 * HOUR),
+    createdAt: updatedAt,
+    updatedAt
+  });
+  return insertedId;
+};
+
+beforeEach(() => {
+  // The build itself is not under test
+  jest.spyOn(dataExport, 'processExport').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requesting a data export', () => {
+  it('returns the export being built instead of starting another', async () => {
+    const user = await createUser();
+    const token = await signIn(user);
+    const id = await createExport(user, 'processing', 60 * 1000);
+
+    const res = await request(app).post('/api/auth/export').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.id).toBe(id.toString());
+    expect(await DataExport.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it('starts a new export when the one in progress has stalled', async () => {
+    const user = await createUser();
+    const token = await signIn(user);
+    const id = await createExport(user, 'processing', 2 * HOUR);
+
+    const res = await request(app).post('/api/auth/export').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.id).not.toBe(id.toString());
+    expect(res.body.data.status).toBe('pending');
+  });
+});
+
+describe('DataExport.failStale', () => {
+  it('marks stalled exports as failed and leaves recent ones alone', async () => {
+    const user = await createUser();
+    const pending = await createExport(user, 'pending', 2 * HOUR);
+    const processing = await createExport(user, 'processing', 2 * HOUR);
+    const recent = await createExport(user, 'processing', 60 * 1000);
+    const ready = await createExport(user, 'ready', 2 * HOUR);
+
+    expect(await DataExport.failStale()).toBe(2);
+
+    const status = async (id) => (await DataExport.findById(id)).status;
+    expect(await status(pending)).toBe('failed');
+    expect(await status(processing)).toBe('failed');
+    expect(await status(recent)).toBe('processing');
+    expect(await status(ready)).toBe('ready');
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, createPost, signIn, sentMail } = require('../helpers/app');
+const User = require('../../models/User');
+
+setupDatabase();
+
+const app = createApp();
+
+const verificationToken = (email) => {
+  const message = sentMail.filter(mail => mail.to === email).pop();
+  return message.text.match(/\/verify-email\/([a-f0-9]+)/)[1];
+};
+
+describe('email verification', () => {
+  beforeEach(() => {
+    sentMail.length = 0;
+  });
+
+  it('emails a verification link on registration and verifies with it once', async () => {
+    const res = await request(app).post('/api/auth/register').send({
+      username: 'newcomer',
+      email: 'newcomer@example.com',
+      password: 'orange kettle mountain 73',
+      firstName: 'New',
+      lastName: 'Comer'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.emailVerified).toBe(false);
+
+    const token = verificationToken('newcomer@example.com');
+    const verify = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(verify.status).toBe(200);
+    expect((await User.findOne({ username: 'newcomer' })).emailVerified).toBe(true);
+
+    const again = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(again.status).toBe(400);
+  });
+
+  it('throttles resending the verification email', async () => {
+    const user = await createUser({ emailVerified: false });
+    const token = await signIn(user);
+
+    const first = await request(app)
+      .post('/api/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${token}`);
+    expect(first.status).toBe(200);
+    expect(sentMail).toHaveLength(1);
+
+    const second = await request(app)
+      .post('/api/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${token}`);
+    expect(second.status).toBe(429);
+    expect(second.headers['retry-after']).toBeDefined();
+    expect(sentMail).toHaveLength(1);
+  });
+
+  it('keeps unverified users from publishing and commenting', async () => {
+    const user = await createUser({ emailVerified: false });
+    const token = await signIn(user);
+    const post = await createPost(await createUser());
+
+    const publish = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'An unverified post',
+        content: 'Content long enough to pass the post validation rules in the API.',
+        category: post.category.toString(),
+        status: 'published'
+      });
+    expect(publish.status).toBe(403);
+    expect(publish.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    const draft = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'An unverified draft',
+        content: 'Content long enough to pass the post validation rules in the API.',
+        category: post.category.toString()
+      });
+    expect(draft.status).toBe(201);
+
+    const comment = await request(app)
+      .post(`/api/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'First!' });
+    expect(comment.status).toBe(403);
+  });
+});
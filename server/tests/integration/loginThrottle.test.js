@@ -0,0 +1,95 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { PASSWORD, createApp, createUser, signIn } = require('../helpers/app');
+const LoginThrottle = require('../../models/LoginThrottle');
+
+setupDatabase();
+
+const app = createApp();
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+// Move past the progressive delay so the next attempt is allowed
+const skipDelay = () =>
+  LoginThrottle.updateMany({}, { lastFailureAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+const failTimes = async (email, times) => {
+  for (let i = 0; i < times; i++) {
+    expect((await login(email, 'wrong password')).status).toBe(401);
+    await skipDelay();
+  }
+};
+
+describe('login throttling', () => {
+  it('delays attempts after repeated failures', async () => {
+    const user = await createUser();
+    await login(user.email, 'wrong password');
+    await login(user.email, 'wrong password');
+
+    const res = await login(user.email, PASSWORD);
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('LOGIN_THROTTLED');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('locks the account after too many failures until an admin unlocks it', async () => {
+    const user = await createUser();
+    await failTimes(user.email, 5);
+
+    const locked = await login(user.email, PASSWORD);
+    expect(locked.status).toBe(423);
+    expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(60);
+
+    const admin = await signIn(await createUser({ role: 'admin' }));
+    const unlock = await request(app)
+      .post(`/api/admin/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${admin}`);
+    expect(unlock.status).toBe(200);
+
+    expect((await login(user.email, PASSWORD)).status).toBe(200);
+  });
+
+  it('lets no more concurrent guesses through than the failure limit', async () => {
+    const user = await createUser();
+
+    const responses = await Promise.all(
+      Array.from({ length: 12 }, () => login(user.email, 'wrong password'))
+    );
+    const checked = responses.filter(res => res.status === 401);
+
+    expect(checked.length).toBeLessThanOrEqual(5);
+    expect(responses.every(res => [401, 423, 429].includes(res.status))).toBe(true);
+    expect((await login(user.email, PASSWORD)).status).not.toBe(200);
+  });
+
+  it('counts attempts on deactivated accounts and only reveals the state to the password holder', async () => {
+    const user = await createUser({ isActive: false });
+
+    const wrong = await login(user.email, 'wrong password');
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.message).toBe('Invalid credentials');
+    await skipDelay();
+
+    const right = await login(user.email, PASSWORD);
+    expect(right.status).toBe(401);
+    expect(right.body.message).toMatch(/deactivated/);
+
+    const throttle = await LoginThrottle.findOne({ key: LoginThrottle.accountKey(user.email) });
+    expect(throttle.failures).toBe(2);
+  });
+
+  it('does not count successful logins', async () => {
+    const user = await createUser();
+    await failTimes(user.email, 1);
+
+    for (let i = 0; i < 3; i++) {
+      expect((await login(user.email, PASSWORD)).status).toBe(200);
+    }
+
+    expect(await LoginThrottle.findOne({ key: LoginThrottle.accountKey(user.email) })).toBeNull();
+    const ipThrottle = await LoginThrottle.findOne({ key: /^ip:/ });
+    expect(ipThrottle.failures).toBe(1);
+  });
+});
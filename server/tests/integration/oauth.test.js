@@ -0,0 +1,173 @@
+process.env.OIDC_ISSUER = 'https://idp.example.test';
+process.env.OIDC_CLIENT_ID = 'mern-blog';
+process.env.OIDC_CLIENT_SECRET = 'secret';
+process.env.OIDC_PROVIDER_NAME = 'mock';
+process.env.OIDC_PROVIDER_LABEL = 'Mock IdP';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, signIn } = require('../helpers/app');
+const User = require('../../models/User');
+
+setupDatabase();
+
+const app = createApp();
+const ISSUER = process.env.OIDC_ISSUER;
+
+// Mock identity provider: discovery, JWKS, token and userinfo endpoints
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+
+const json = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body
+});
+
+let idp;
+
+beforeEach(() => {
+  idp = {
+    claims: { sub: 'subject-1', email: 'new.user@example.com', email_verified: true },
+    signingKey: privateKey
+  };
+
+  jest.spyOn(global, 'fetch').mockImplementation(async (url, options = {}) => {
+    switch (String(url)) {
+      case `${ISSUER}/.well-known/openid-configuration`:
+        return json({
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          userinfo_endpoint: `${ISSUER}/userinfo`,
+          jwks_uri: `${ISSUER}/jwks`
+        });
+      case `${ISSUER}/jwks`:
+        return json({ keys: [jwk] });
+      case `${ISSUER}/token`: {
+        const idToken = jwt.sign(
+          { ...idp.claims, nonce: idp.nonce },
+          idp.signingKey,
+          { algorithm: 'RS256', keyid: 'key-1', issuer: ISSUER, audience: 'mern-blog', expiresIn: '5m' }
+        );
+        return json({ access_token: 'access-token', id_token: idToken });
+      }
+      case `${ISSUER}/userinfo`:
+        return json({ sub: idp.claims.sub });
+      default:
+        throw new Error(`Unexpected fetch ${url} ${options.method || 'GET'}`);
+    }
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Run the browser side of the flow; resolves to the final client redirect
+const runFlow = async (startPath = '/api/auth/oauth/mock') => {
+  const start = await request(app).get(startPath);
+  expect(start.status).toBe(302);
+
+  const authorizeUrl = new URL(start.headers.location);
+  idp.nonce = authorizeUrl.searchParams.get('nonce');
+  const cookie = start.headers['set-cookie'].find(value => value.startsWith('oauth_state='));
+
+  const callback = await request(app)
+    .get('/api/auth/oauth/mock/callback')
+    .query({ code: 'auth-code', state: authorizeUrl.searchParams.get('state') })
+    .set('Cookie', cookie.split(';')[0]);
+  expect(callback.status).toBe(302);
+
+  return new URL(callback.headers.location);
+};
+
+// Finish a login redirect by exchanging its one-time code
+const exchange = async (redirect) => {
+  const code = new URLSearchParams(redirect.hash.slice(1)).get('code');
+  return request(app).post('/api/auth/oauth/exchange').send({ code });
+};
+
+describe('external login', () => {
+  it('provisions a new account, fitting long names into the user fields', async () => {
+    idp.claims.given_name = 'G'.repeat(80);
+    idp.claims.family_name = 'F'.repeat(80);
+
+    const redirect = await runFlow();
+    expect(redirect.pathname).toBe('/oauth/callback');
+
+    const res = await exchange(redirect);
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+
+    const user = await User.findOne({ email: 'new.user@example.com' });
+    expect(user.firstName).toHaveLength(50);
+    expect(user.lastName).toHaveLength(50);
+    expect(user.emailVerified).toBe(true);
+    expect(user.identities[0]).toMatchObject({ provider: 'mock', subject: 'subject-1' });
+  });
+
+  it('rejects ID tokens that are not signed by the provider', async () => {
+    idp.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+    const redirect = await runFlow();
+
+    expect(redirect.pathname).toBe('/login');
+    expect(redirect.searchParams.get('oauthError')).toBe('External login failed');
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it('does not attach a provider to an existing account by email', async () => {
+    const existing = await createUser({ email: 'new.user@example.com' });
+
+    const redirect = await runFlow();
+
+    expect(redirect.pathname).toBe('/login');
+    expect(redirect.searchParams.get('oauthError')).toMatch(/already exists/);
+    expect((await User.findById(existing._id)).identities).toHaveLength(0);
+  });
+});
+
+describe('connecting a provider', () => {
+  const startLink = async (user) => {
+    const res = await request(app)
+      .post('/api/auth/oauth/mock/link')
+      .set('Authorization', `Bearer ${await signIn(user)}`);
+    expect(res.status).toBe(200);
+    return `/api/auth/oauth/mock?link=${encodeURIComponent(res.body.data.linkToken)}`;
+  };
+
+  it('links the provider to the signed-in account, which can then log in with it', async () => {
+    const user = await createUser({ email: 'someone.else@example.com' });
+
+    const redirect = await runFlow(await startLink(user));
+    expect(redirect.pathname).toBe('/profile');
+    expect(redirect.searchParams.get('oauthLinked')).toBe('mock');
+
+    const linked = await User.findById(user._id);
+    expect(linked.identities[0]).toMatchObject({ provider: 'mock', subject: 'subject-1' });
+
+    const login = await exchange(await runFlow());
+    expect(login.status).toBe(200);
+    expect(login.body.user.id).toBe(user.id);
+  });
+
+  it('refuses an identity already connected to another user', async () => {
+    await createUser({ identities: [{ provider: 'mock', subject: 'subject-1' }] });
+    const user = await createUser();
+
+    const redirect = await runFlow(await startLink(user));
+
+    expect(redirect.pathname).toBe('/profile');
+    expect(redirect.searchParams.get('oauthError')).toMatch(/another user/);
+  });
+
+  it('requires a valid link token', async () => {
+    const res = await request(app).get('/api/auth/oauth/mock?link=forged');
+    expect(res.status).toBe(400);
+
+    expect((await request(app).post('/api/auth/oauth/mock/link')).status).toBe(401);
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, signIn, sentMail } = require('../helpers/app');
+const User = require('../../models/User');
+
+setupDatabase();
+
+const app = createApp();
+const NEW_PASSWORD = 'orange kettle mountain 73';
+
+// Ask for a reset link and return the token it carries
+const requestReset = async (email) => {
+  sentMail.length = 0;
+  const res = await request(app).post('/api/auth/forgot-password').send({ email });
+  expect(res.status).toBe(200);
+
+  const message = sentMail.find(mail => mail.to === email);
+  return message && message.text.match(/\/reset-password\/([a-f0-9]+)/)[1];
+};
+
+describe('password reset', () => {
+  it('emails a token that is stored hashed', async () => {
+    const user = await createUser();
+
+    const token = await requestReset(user.email);
+
+    expect(token).toBeDefined();
+    const stored = await User.findById(user._id).select('+resetPasswordToken');
+    expect(stored.resetPasswordToken).toBe(User.hashToken(token));
+  });
+
+  it('gives the same answer for unknown emails without sending mail', async () => {
+    const token = await requestReset('nobody@example.com');
+
+    expect(token).toBeUndefined();
+    expect(sentMail).toHaveLength(0);
+  });
+
+  it('resets the password once and signs out existing sessions', async () => {
+    const user = await createUser();
+    const accessToken = await signIn(user);
+    const token = await requestReset(user.email);
+
+    const reset = await request(app)
+      .put(`/api/auth/reset-password/${token}`)
+      .send({ password: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+    expect(reset.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: NEW_PASSWORD });
+    expect(login.status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+    expect(me.status).toBe(401);
+
+    const reuse = await request(app)
+      .put(`/api/auth/reset-password/${token}`)
+      .send({ password: 'another fresh passphrase 99', confirmPassword: 'another fresh passphrase 99' });
+    expect(reuse.status).toBe(400);
+  });
+
+  it('rejects expired tokens', async () => {
+    const user = await createUser();
+    const token = await requestReset(user.email);
+    await User.updateOne({ _id: user._id }, { resetPasswordExpire: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .put(`/api/auth/reset-password/${token}`)
+      .send({ password: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+
+    expect(res.status).toBe(400);
+  });
+});
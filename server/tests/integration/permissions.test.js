@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, createPost, signIn } = require('../helpers/app');
+const Comment = require('../../models/Comment');
+const User = require('../../models/User');
+
+setupDatabase();
+
+const app = createApp();
+
+const postBody = (category, overrides = {}) => ({
+  title: 'A post about permissions',
+  content: 'Content long enough to pass the post validation rules in the API.',
+  category: category.toString(),
+  ...overrides
+});
+
+// Sign in a new user with the role; returns [user, auth header value]
+const as = async (role) => {
+  const user = await createUser({ role });
+  return [user, `Bearer ${await signIn(user)}`];
+};
+
+describe('permission matrix', () => {
+  let category;
+
+  beforeEach(async () => {
+    ({ category } = await createPost(await createUser()));
+  });
+
+  it('lets contributors draft but not publish', async () => {
+    const [, auth] = await as('contributor');
+
+    const draft = await request(app).post('/api/posts').set('Authorization', auth).send(postBody(category));
+    expect(draft.status).toBe(201);
+
+    const published = await request(app)
+      .post('/api/posts')
+      .set('Authorization', auth)
+      .send(postBody(category, { status: 'published' }));
+    expect(published.status).toBe(403);
+
+    const publishDraft = await request(app)
+      .put(`/api/posts/${draft.body.data._id}`)
+      .set('Authorization', auth)
+      .send({ status: 'published' });
+    expect(publishDraft.status).toBe(403);
+  });
+
+  it('lets authors publish their own posts but not edit others', async () => {
+    const [, auth] = await as('author');
+    const other = await createPost(await createUser(), { status: 'draft' });
+
+    const published = await request(app)
+      .post('/api/posts')
+      .set('Authorization', auth)
+      .send(postBody(category, { status: 'published' }));
+    expect(published.status).toBe(201);
+
+    const edit = await request(app)
+      .put(`/api/posts/${other._id}`)
+      .set('Authorization', auth)
+      .send({ title: 'Not my post at all' });
+    expect(edit.status).toBe(403);
+  });
+
+  it("lets editors edit, publish and delete anyone's post", async () => {
+    const [, auth] = await as('editor');
+    const draft = await createPost(await createUser(), { status: 'draft' });
+
+    const publish = await request(app)
+      .put(`/api/posts/${draft._id}`)
+      .set('Authorization', auth)
+      .send({ status: 'published' });
+    expect(publish.status).toBe(200);
+    expect(publish.body.data.status).toBe('published');
+
+    const remove = await request(app).delete(`/api/posts/${draft._id}`).set('Authorization', auth);
+    expect(remove.status).toBe(200);
+  });
+
+  it('lets moderators approve comments but not edit posts', async () => {
+    const [, auth] = await as('moderator');
+    const [, userAuth] = await as('user');
+    const post = await createPost(await createUser());
+    const comment = await Comment.create({
+      content: 'Awaiting approval',
+      post: post._id,
+      author: post.author,
+      isApproved: false
+    });
+
+    expect((await request(app).put(`/api/comments/${comment._id}/approve`).set('Authorization', userAuth)).status)
+      .toBe(403);
+
+    const approve = await request(app).put(`/api/comments/${comment._id}/approve`).set('Authorization', auth);
+    expect(approve.status).toBe(200);
+    expect((await Comment.findById(comment._id)).isApproved).toBe(true);
+
+    const edit = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', auth)
+      .send({ title: 'Moderated title' });
+    expect(edit.status).toBe(403);
+  });
+});
+
+describe('role management', () => {
+  it('lets admins change roles, except their own', async () => {
+    const [admin, auth] = await as('admin');
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/api/admin/users/${user._id}/role`)
+      .set('Authorization', auth)
+      .send({ role: 'editor' });
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).role).toBe('editor');
+
+    const own = await request(app)
+      .put(`/api/admin/users/${admin._id}/role`)
+      .set('Authorization', auth)
+      .send({ role: 'user' });
+    expect(own.status).toBe(400);
+  });
+
+  it('rejects unknown roles and users without users:assign_roles', async () => {
+    const [, adminAuth] = await as('admin');
+    const [, editorAuth] = await as('editor');
+    const user = await createUser();
+
+    const unknown = await request(app)
+      .put(`/api/admin/users/${user._id}/role`)
+      .set('Authorization', adminAuth)
+      .send({ role: 'overlord' });
+    expect(unknown.status).toBe(400);
+
+    const forbidden = await request(app)
+      .put(`/api/admin/users/${user._id}/role`)
+      .set('Authorization', editorAuth)
+      .send({ role: 'admin' });
+    expect(forbidden.status).toBe(403);
+    expect((await User.findById(user._id)).role).toBe('user');
+  });
+});
@@ -0,0 +1,63 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, createPost, signIn } = require('../helpers/app');
+const PostRevision = require('../../models/PostRevision');
+
+setupDatabase();
+
+const app = createApp();
+
+const revisionNumbers = async (post) =>
+  (await PostRevision.find({ post: post._id }).sort({ revision: 1 })).map(revision => revision.revision);
+
+describe('post revisions', () => {
+  let author;
+  let auth;
+
+  beforeEach(async () => {
+    author = await createUser({ role: 'author' });
+    auth = `Bearer ${await signIn(author)}`;
+  });
+
+  const update = (post, title) =>
+    request(app).put(`/api/posts/${post._id}`).set('Authorization', auth).send({ title });
+
+  it('records a revision for each save', async () => {
+    const post = await createPost(author);
+    await PostRevision.record(post, author._id);
+
+    expect((await update(post, 'A first new title')).status).toBe(200);
+    expect((await update(post, 'A second new title')).status).toBe(200);
+
+    expect(await revisionNumbers(post)).toEqual([1, 2, 3]);
+  });
+
+  it('numbers concurrent saves one after the other', async () => {
+    const post = await createPost(author);
+    await PostRevision.record(post, author._id);
+
+    const responses = await Promise.all([
+      update(post, 'A title from one tab'),
+      update(post, 'A title from another tab'),
+      update(post, 'A title from a third tab')
+    ]);
+
+    responses.forEach(res => expect(res.status).toBe(200));
+    expect(await revisionNumbers(post)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('keeps the state of a post from before revisions once when saved concurrently', async () => {
+    const post = await createPost(author);
+
+    const responses = await Promise.all([
+      update(post, 'A title from one tab'),
+      update(post, 'A title from another tab')
+    ]);
+
+    responses.forEach(res => expect(res.status).toBe(200));
+    expect(await revisionNumbers(post)).toEqual([1, 2, 3]);
+
+    const first = await PostRevision.findOne({ post: post._id, revision: 1 });
+    expect(first.snapshot.title).toBe(post.title);
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { createApp, createUser, createPost, signIn } = require('../helpers/app');
+
+setupDatabase();
+
+const app = createApp();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sign in a new user with the role; returns [user, auth header value]
+const as = async (role) => {
+  const user = await createUser({ role });
+  return [user, `Bearer ${await signIn(user)}`];
+};
+
+const list = (status, auth) => {
+  const req = request(app).get('/api/posts').query({ status });
+  return auth ? req.set('Authorization', auth) : req;
+};
+
+const titles = res => res.body.data.map(post => post.title).sort();
+
+describe('post visibility', () => {
+  let author;
+  let authorAuth;
+  let otherAuthor;
+
+  beforeEach(async () => {
+    [author, authorAuth] = await as('author');
+    otherAuthor = await createUser({ role: 'author' });
+
+    await createPost(author, { title: 'My published post' });
+    await createPost(author, { title: 'My draft', status: 'draft' });
+    await createPost(author, { title: 'My scheduled post', status: 'scheduled', publishAt: new Date(Date.now() + DAY) });
+    await createPost(otherAuthor, { title: 'Their draft', status: 'draft' });
+    await createPost(otherAuthor, {
+      title: 'Their scheduled post',
+      status: 'scheduled',
+      publishAt: new Date(Date.now() + DAY)
+    });
+  });
+
+  it('lists only published posts to everyone', async () => {
+    const res = await list();
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(['My published post']);
+  });
+
+  it('lists drafts and scheduled posts only to their author', async () => {
+    expect(titles(await list('draft', authorAuth))).toEqual(['My draft']);
+    expect(titles(await list('scheduled', authorAuth))).toEqual(['My scheduled post']);
+
+    expect((await list('draft')).status).toBe(403);
+    expect((await list('scheduled')).status).toBe(403);
+
+    const [, moderatorAuth] = await as('moderator');
+    expect((await list('scheduled', moderatorAuth)).status).toBe(403);
+
+    const [, userAuth] = await as('user');
+    expect(titles(await list('scheduled', userAuth))).toEqual([]);
+
+    const others = await request(app)
+      .get('/api/posts')
+      .query({ status: 'scheduled', author: otherAuthor._id.toString() })
+      .set('Authorization', authorAuth);
+    expect(others.status).toBe(403);
+  });
+
+  it('lists every author\'s unpublished posts to editors', async () => {
+    const [, editorAuth] = await as('editor');
+
+    expect(titles(await list('draft', editorAuth))).toEqual(['My draft', 'Their draft']);
+    expect(titles(await list('scheduled', editorAuth))).toEqual(['My scheduled post', 'Their scheduled post']);
+  });
+
+  it('hides unpublished posts from readers who may not edit them', async () => {
+    const draft = await createPost(author, { title: 'Another draft', status: 'draft' });
+    const [, readerAuth] = await as('moderator');
+
+    expect((await request(app).get(`/api/posts/${draft._id}`)).status).toBe(404);
+    expect((await request(app).get(`/api/posts/${draft.slug}`).set('Authorization', readerAuth)).status).toBe(404);
+    expect((await request(app).get(`/api/posts/${draft._id}`).set('Authorization', authorAuth)).status).toBe(200);
+  });
+
+  it('redirects old slugs of unpublished posts only for readers who may see them', async () => {
+    const draft = await createPost(author, { title: 'A draft with an old slug', status: 'draft' });
+    const oldSlug = draft.slug;
+
+    const renamed = await request(app)
+      .put(`/api/posts/${draft._id}`)
+      .set('Authorization', authorAuth)
+      .send({ slug: 'the-secret-new-slug' });
+    expect(renamed.status).toBe(200);
+
+    const anonymous = await request(app).get(`/api/posts/${oldSlug}`);
+    expect(anonymous.status).toBe(404);
+    expect(anonymous.headers.location).toBeUndefined();
+
+    const [, readerAuth] = await as('moderator');
+    expect((await request(app).get(`/api/posts/${oldSlug}`).set('Authorization', readerAuth)).status).toBe(404);
+
+    const own = await request(app).get(`/api/posts/${oldSlug}`).set('Authorization', authorAuth);
+    expect(own.status).toBe(301);
+    expect(own.headers.location).toBe('/api/posts/the-secret-new-slug');
+  });
+
+  it('redirects old slugs of published posts for everyone', async () => {
+    const post = await createPost(author, { title: 'A published post with an old slug' });
+
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', authorAuth)
+      .send({ slug: 'a-new-public-slug' });
+
+    const res = await request(app).get(`/api/posts/${post.slug}`);
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/posts/a-new-public-slug');
+  });
+});
@@ -0,0 +1,87 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { PASSWORD, createApp, createUser } = require('../helpers/app');
+const Session = require('../../models/Session');
+
+setupDatabase();
+
+const app = createApp();
+
+const login = async () => {
+  const user = await createUser();
+  const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+describe('refresh token rotation', () => {
+  it('issues a new token pair and retires the old refresh token', async () => {
+    const { refreshToken } = await login();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect((await me(res.body.token)).status).toBe(200);
+    expect((await refresh(res.body.refreshToken)).status).toBe(200);
+  });
+
+  it('gives concurrent refreshes with the same token the same new pair', async () => {
+    const { refreshToken } = await login();
+
+    const first = await refresh(refreshToken);
+    const second = await refresh(refreshToken);
+
+    expect(second.status).toBe(200);
+    expect(second.body.refreshToken).toBe(first.body.refreshToken);
+    expect((await refresh(second.body.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes the whole session when a rotated-out token is reused later', async () => {
+    const { refreshToken } = await login();
+    const rotated = (await refresh(refreshToken)).body;
+
+    // Step outside the grace window
+    await Session.updateMany({}, { rotatedAt: new Date(Date.now() - 60 * 1000) });
+
+    const reuse = await refresh(refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.message).toMatch(/revoked/);
+
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect((await me(rotated.token)).status).toBe(401);
+
+    const [session] = await Session.find();
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+  });
+
+  it('does not extend the grace window to older tokens', async () => {
+    const { refreshToken } = await login();
+    const second = (await refresh(refreshToken)).body;
+    await refresh(second.refreshToken);
+
+    expect((await refresh(refreshToken)).status).toBe(401);
+    expect((await Session.findOne()).revokedReason).toBe('refresh_token_reuse');
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh')).status).toBe(401);
+  });
+});
+
+describe('logout', () => {
+  it('revokes the session server-side', async () => {
+    const { token, refreshToken } = await login();
+
+    const res = await request(app).post('/api/auth/logout').send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect((await me(token)).status).toBe(401);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const { setupDatabase } = require('../helpers/db');
+const { PASSWORD, createApp, createUser, signIn } = require('../helpers/app');
+const totp = require('../../utils/totp');
+
+setupDatabase();
+
+const app = createApp();
+const STEP_MS = 30 * 1000;
+
+// Enroll a user in 2FA through the API; returns the secret, the backup codes
+// and the time the enrollment code was generated for
+const enroll = async (user) => {
+  const token = await signIn(user);
+
+  const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', `Bearer ${token}`);
+  expect(setup.status).toBe(200);
+  expect(setup.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+  const { secret } = setup.body.data;
+  const enrolledAt = Date.now();
+
+  const enable = await request(app)
+    .post('/api/auth/2fa/enable')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: totp.generate(secret, enrolledAt) });
+  expect(enable.status).toBe(200);
+
+  return { secret, enrolledAt, backupCodes: enable.body.data.backupCodes };
+};
+
+const startLogin = async (user) => {
+  const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const verify = (challengeToken, code) =>
+  request(app).post('/api/auth/2fa/verify').send({ challengeToken, code });
+
+describe('two-factor login', () => {
+  it('returns a challenge instead of tokens and completes it with a TOTP code', async () => {
+    const user = await createUser();
+    const { secret, enrolledAt } = await enroll(user);
+
+    const first = await startLogin(user);
+    expect(first.twoFactorRequired).toBe(true);
+    expect(first.token).toBeUndefined();
+
+    // The enrollment code's time step is spent; the next one is still in the window
+    const replay = await verify(first.challengeToken, totp.generate(secret, enrolledAt));
+    expect(replay.status).toBe(401);
+
+    const res = await verify(first.challengeToken, totp.generate(secret, enrolledAt + STEP_MS));
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.user.twoFactorEnabled).toBe(true);
+  });
+
+  it('accepts each backup code once', async () => {
+    const user = await createUser();
+    const { backupCodes } = await enroll(user);
+
+    const first = await startLogin(user);
+    expect((await verify(first.challengeToken, backupCodes[0])).status).toBe(200);
+
+    const second = await startLogin(user);
+    expect((await verify(second.challengeToken, backupCodes[0])).status).toBe(401);
+    expect((await verify(second.challengeToken, backupCodes[1])).status).toBe(200);
+  });
+
+  it('rejects wrong codes and tokens that are not login challenges', async () => {
+    const user = await createUser();
+    await enroll(user);
+    const { challengeToken } = await startLogin(user);
+
+    expect((await verify(challengeToken, '000000')).status).toBe(401);
+
+    const accessToken = await signIn(user);
+    expect((await verify(accessToken, '123456')).status).toBe(401);
+  });
+
+  it('turns 2FA off with the password and a current code', async () => {
+    const user = await createUser();
+    const { secret, enrolledAt } = await enroll(user);
+    const token = await signIn(user);
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: PASSWORD, code: totp.generate(secret, enrolledAt + STEP_MS) });
+    expect(res.status).toBe(200);
+
+    const login = await startLogin(user);
+    expect(login.twoFactorRequired).toBeUndefined();
+    expect(login.token).toBeDefined();
+  });
+});
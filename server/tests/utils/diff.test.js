@@ -0,0 +1,75 @@
+const { diffLines } = require('../../utils/diff');
+
+// Rebuild both texts from the changes, so any valid diff passes
+const sides = ({ changes }) => ({
+  old: changes.filter(change => change.type !== 'insert').flatMap(change => change.lines).join('\n'),
+  new: changes.filter(change => change.type !== 'delete').flatMap(change => change.lines).join('\n')
+});
+
+describe('diffLines', () => {
+  it('reports no changes for identical texts', () => {
+    const result = diffLines('a\nb\nc', 'a\nb\nc');
+
+    expect(result.additions).toBe(0);
+    expect(result.deletions).toBe(0);
+    expect(result.changes).toEqual([{ type: 'equal', oldStart: 1, newStart: 1, lines: ['a', 'b', 'c'] }]);
+  });
+
+  it('groups changed lines with their line numbers', () => {
+    const result = diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne');
+
+    expect(result.changes).toEqual([
+      { type: 'equal', oldStart: 1, newStart: 1, lines: ['a'] },
+      { type: 'delete', oldStart: 2, newStart: 2, lines: ['b'] },
+      { type: 'insert', oldStart: 3, newStart: 2, lines: ['x'] },
+      { type: 'equal', oldStart: 3, newStart: 3, lines: ['c', 'd'] },
+      { type: 'insert', oldStart: 5, newStart: 5, lines: ['e'] }
+    ]);
+    expect(result.additions).toBe(2);
+    expect(result.deletions).toBe(1);
+  });
+
+  it('treats missing text as empty', () => {
+    expect(diffLines(undefined, 'a\nb')).toEqual({
+      changes: [{ type: 'insert', oldStart: 1, newStart: 1, lines: ['a', 'b'] }],
+      additions: 2,
+      deletions: 0
+    });
+    expect(diffLines('', '')).toEqual({ changes: [], additions: 0, deletions: 0 });
+  });
+
+  it('ignores Windows line endings', () => {
+    expect(diffLines('a\r\nb', 'a\nb').changes).toHaveLength(1);
+  });
+
+  it('finds a shortest edit script', () => {
+    const result = diffLines('a\nb\nc\na\nb\nb\na', 'c\nb\na\nb\na\nc');
+
+    expect(result.additions + result.deletions).toBe(5);
+    expect(sides(result)).toEqual({ old: 'a\nb\nc\na\nb\nb\na', new: 'c\nb\na\nb\na\nc' });
+  });
+
+  it('keeps long texts with small edits cheap and exact', () => {
+    const before = Array.from({ length: 20000 }, (_, index) => `line ${index}`);
+    const after = [...before];
+    after[100] = 'changed';
+    after.splice(15000, 0, 'added');
+
+    const result = diffLines(before.join('\n'), after.join('\n'));
+
+    expect(result.additions).toBe(2);
+    expect(result.deletions).toBe(1);
+    expect(sides(result).new).toBe(after.join('\n'));
+  });
+
+  it('reports texts too far apart as replaced instead of searching', () => {
+    const before = Array.from({ length: 3000 }, (_, index) => `old ${index}`).join('\n');
+    const after = Array.from({ length: 3000 }, (_, index) => `new ${index}`).join('\n');
+
+    const result = diffLines(`same\n${before}\nend`, `same\n${after}\nend`);
+
+    expect(result.changes.map(change => change.type)).toEqual(['equal', 'delete', 'insert', 'equal']);
+    expect(result.additions).toBe(3000);
+    expect(result.deletions).toBe(3000);
+  });
+});
@@ -0,0 +1,55 @@
+const { sendEmail, registerTransport, checkMailTransport } = require('../../utils/mailer');
+
+describe('mailer', () => {
+  const env = { ...process.env };
+  const sent = [];
+
+  beforeAll(() => {
+    registerTransport('memory', { send: async (message) => { sent.push(message); } });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    sent.length = 0;
+  });
+
+  it('sends through the configured transport', async () => {
+    process.env.MAIL_TRANSPORT = 'memory';
+
+    await sendEmail({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ to: 'a@example.com', subject: 'Hi' });
+    expect(sent[0].from).toBeDefined();
+  });
+
+  it('rejects unknown transports', async () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    await expect(sendEmail({ to: 'a@example.com', subject: 'Hi', text: '' }))
+      .rejects.toThrow('Unknown mail transport: pigeon');
+  });
+
+  it('defaults to the console transport outside production', () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+
+    expect(() => checkMailTransport()).not.toThrow();
+  });
+
+  it('requires a delivering transport in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    delete process.env.MAIL_TRANSPORT;
+    expect(() => checkMailTransport()).toThrow('MAIL_TRANSPORT must be set in production');
+
+    for (const name of ['console', 'file']) {
+      process.env.MAIL_TRANSPORT = name;
+      expect(() => checkMailTransport()).toThrow(`'${name}' cannot be used in production`);
+      await expect(sendEmail({ to: 'a@example.com', subject: 'Reset', text: 'token' })).rejects.toThrow();
+    }
+
+    process.env.MAIL_TRANSPORT = 'memory';
+    expect(() => checkMailTransport()).not.toThrow();
+  });
+});
@@ -0,0 +1,69 @@
+const { RENDER_VERSION, renderMarkdown, toPlainText, countWords } = require('../../utils/markdown');
+
+describe('renderMarkdown', () => {
+  it('renders GitHub-flavoured Markdown', () => {
+    const { html, version } = renderMarkdown('Some **bold** and ~~gone~~ text\n\n| a | b |\n|---|---|\n| 1 | 2 |');
+
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).toContain('<del>gone</del>');
+    expect(html).toContain('<table>');
+    expect(version).toBe(RENDER_VERSION);
+  });
+
+  it('removes scripts, event handlers and javascript: links', () => {
+    const { html } = renderMarkdown([
+      '<script>alert(1)</script>',
+      '<img src="x.png" onerror="alert(2)">',
+      '[click](javascript:alert(3))',
+      '<iframe src="https://example.com"></iframe>'
+    ].join('\n\n'));
+
+    expect(html).not.toMatch(/<script|onerror|javascript:|<iframe/i);
+    expect(html).toContain('<img src="x.png" />');
+  });
+
+  it('opens external links in a new tab without the opener', () => {
+    const { html } = renderMarkdown('[site](https://example.com) and [section](#intro)');
+
+    expect(html).toContain('<a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">site</a>');
+    expect(html).toContain('<a href="#intro">section</a>');
+  });
+
+  it('anchors headings and builds a table of contents with unique ids', () => {
+    const { html, toc } = renderMarkdown('# Intro\n\n## Set *up*\n\n## Set up\n\n### ???');
+
+    expect(toc).toEqual([
+      { level: 1, text: 'Intro', id: 'intro' },
+      { level: 2, text: 'Set up', id: 'set-up' },
+      { level: 2, text: 'Set up', id: 'set-up-1' },
+      { level: 3, text: '???', id: 'section' }
+    ]);
+    expect(html).toContain('<h1 id="intro"><a class="heading-anchor" href="#intro">Intro</a></h1>');
+  });
+
+  it('highlights fenced code blocks', () => {
+    const { html } = renderMarkdown('```js\nconst answer = 42;\n```');
+
+    expect(html).toContain('<code class="hljs language-js">');
+    expect(html).toContain('<span class="hljs-keyword">const</span>');
+  });
+
+  it('projects plain text for excerpts and search', () => {
+    const { text } = renderMarkdown('# Title\n\nFirst *paragraph* with a [link](https://example.com) &amp; more.\n\n- one\n- two');
+
+    expect(text).toBe('Title\n\nFirst paragraph with a link & more.\n\none\n\ntwo');
+  });
+});
+
+describe('toPlainText', () => {
+  it('strips tags and decodes entities', () => {
+    expect(toPlainText('<p>a &lt;b&gt; &quot;c&quot;<br>d</p>')).toBe('a <b> "c"\nd');
+  });
+});
+
+describe('countWords', () => {
+  it('counts whitespace-separated words', () => {
+    expect(countWords('  one two\n\nthree ')).toBe(3);
+    expect(countWords('')).toBe(0);
+  });
+});
@@ -0,0 +1,25 @@
+const { checkPassword } = require('../../utils/passwordPolicy');
+
+describe('checkPassword', () => {
+  it('accepts a long, uncommon password', () => {
+    expect(checkPassword('correct horse battery staple')).toEqual([]);
+  });
+
+  it('counts the minimum length in characters', () => {
+    expect(checkPassword('short')).toEqual(['Password must be at least 8 characters long']);
+    expect(checkPassword(undefined)).toEqual(['Password must be at least 8 characters long']);
+    // Four emoji are eight UTF-16 code units but only four characters
+    expect(checkPassword('🐴🔋📎🏇')).toEqual(['Password must be at least 8 characters long']);
+  });
+
+  it('counts the maximum length in characters', () => {
+    expect(checkPassword('x'.repeat(73))).toEqual(['Password cannot be longer than 72 characters']);
+  });
+
+  it('refuses passwords over the 72 bytes bcrypt hashes', () => {
+    const problems = checkPassword('é'.repeat(40));
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatch(/at most 72 bytes/);
+  });
+});
@@ -0,0 +1,103 @@
+const { slugify, uniqueSlug, isSlugConflict, retryOnSlugConflict } = require('../../utils/slug');
+
+// Just enough of a Mongoose model for uniqueSlug: find().select().lean()
+const fakeModel = (docs, modelName = 'Post') => ({
+  modelName,
+  find: jest.fn(({ _id, $or }) => {
+    const matches = docs.filter(doc =>
+      (!_id || doc._id !== _id.$ne) &&
+      $or.some(condition => {
+        const [field, pattern] = Object.entries(condition)[0];
+        return [].concat(doc[field] || []).some(value => pattern.test(value));
+      })
+    );
+    return { select: () => ({ lean: async () => matches }) };
+  })
+});
+
+const duplicateSlugError = () => Object.assign(new Error('E11000 duplicate key'), {
+  code: 11000,
+  keyPattern: { slug: 1 }
+});
+
+describe('slugify', () => {
+  it('makes lowercase hyphenated slugs', () => {
+    expect(slugify('  Hello,   World! ')).toBe('hello-world');
+    expect(slugify('Node.js & MongoDB')).toBe('node-js-mongodb');
+  });
+
+  it('drops accents', () => {
+    expect(slugify('Café Crème')).toBe('cafe-creme');
+  });
+
+  it('returns an empty string when nothing is left', () => {
+    expect(slugify('!!!')).toBe('');
+    expect(slugify(undefined)).toBe('');
+  });
+
+  it('limits the length without a trailing hyphen', () => {
+    const slug = slugify(`${'a'.repeat(79)} b`);
+
+    expect(slug).toBe('a'.repeat(79));
+  });
+});
+
+describe('uniqueSlug', () => {
+  it('uses the plain slug when it is free', async () => {
+    await expect(uniqueSlug(fakeModel([]), 'My Post')).resolves.toBe('my-post');
+  });
+
+  it('adds the lowest free numeric suffix', async () => {
+    const Model = fakeModel([
+      { _id: 1, slug: 'my-post' },
+      { _id: 2, slug: 'my-post-2' },
+      { _id: 3, slug: 'my-post-4' }
+    ]);
+
+    await expect(uniqueSlug(Model, 'My Post')).resolves.toBe('my-post-3');
+  });
+
+  it('treats retired slugs in the given fields as taken', async () => {
+    const Model = fakeModel([{ _id: 1, slug: 'renamed', previousSlugs: ['my-post'] }]);
+
+    await expect(uniqueSlug(Model, 'My Post', { fields: ['slug', 'previousSlugs'] })).resolves.toBe('my-post-2');
+  });
+
+  it('lets a document keep its own slug', async () => {
+    const Model = fakeModel([{ _id: 1, slug: 'my-post' }]);
+
+    await expect(uniqueSlug(Model, 'My Post', { excludeId: 1 })).resolves.toBe('my-post');
+  });
+
+  it('falls back to the model name', async () => {
+    await expect(uniqueSlug(fakeModel([], 'Category'), '???')).resolves.toBe('category');
+  });
+});
+
+describe('retryOnSlugConflict', () => {
+  it('retries writes that lose a slug race', async () => {
+    const write = jest.fn()
+      .mockRejectedValueOnce(duplicateSlugError())
+      .mockResolvedValueOnce('saved');
+
+    await expect(retryOnSlugConflict(write)).resolves.toBe('saved');
+    expect(write).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after the last attempt', async () => {
+    const write = jest.fn().mockRejectedValue(duplicateSlugError());
+
+    await expect(retryOnSlugConflict(write, 3)).rejects.toThrow('E11000');
+    expect(write).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry other errors', async () => {
+    const write = jest.fn().mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { email: 1 } })
+    );
+
+    await expect(retryOnSlugConflict(write)).rejects.toThrow();
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(isSlugConflict(new Error('other'))).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const path = require('path');
+const { uploadDir } = require('../../utils/storage');
+
+const serverRoot = path.join(__dirname, '..', '..');
+
+describe('uploadDir', () => {
+  const original = process.env.UPLOAD_DIR;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.UPLOAD_DIR;
+    } else {
+      process.env.UPLOAD_DIR = original;
+    }
+  });
+
+  it('defaults to the uploads folder of the server', () => {
+    delete process.env.UPLOAD_DIR;
+    expect(uploadDir()).toBe(path.join(serverRoot, 'uploads'));
+  });
+
+  it('takes a relative path from the server directory', () => {
+    process.env.UPLOAD_DIR = './files';
+    expect(uploadDir()).toBe(path.join(serverRoot, 'files'));
+  });
+
+  it('keeps an absolute path', () => {
+    process.env.UPLOAD_DIR = '/srv/uploads';
+    expect(uploadDir()).toBe('/srv/uploads');
+  });
+});
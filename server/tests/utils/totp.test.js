@@ -0,0 +1,63 @@
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), 6-digit codes
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+  it('round-trips bytes', () => {
+    const bytes = Buffer.from('12345678901234567890');
+
+    expect(totp.base32Encode(bytes)).toBe(SECRET);
+    expect(totp.base32Decode(SECRET.toLowerCase())).toEqual(bytes);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generate', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(totp.generate(SECRET, 59 * 1000)).toBe('287082');
+    expect(totp.generate(SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generate(SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+});
+
+describe('verify', () => {
+  const time = 1111111109 * 1000;
+
+  it('accepts the current code and returns its time step', () => {
+    expect(totp.verify('081 804', SECRET, { time })).toBe(Math.floor(1111111109 / 30));
+  });
+
+  it('allows one step of clock drift by default', () => {
+    const previous = totp.generate(SECRET, time - 30 * 1000);
+
+    expect(totp.verify(previous, SECRET, { time })).toBe(Math.floor(1111111109 / 30) - 1);
+    expect(totp.verify(previous, SECRET, { time, window: 0 })).toBeNull();
+  });
+
+  it('rejects malformed and wrong codes', () => {
+    expect(totp.verify('12345', SECRET, { time })).toBeNull();
+    expect(totp.verify(null, SECRET, { time })).toBeNull();
+    expect(totp.verify('000000', SECRET, { time })).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('makes a 160-bit base32 secret', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds an otpauth:// URI for authenticator apps', () => {
+    expect(totp.buildOtpauthUri({ secret: SECRET, accountName: 'ada@example.com', issuer: 'Blog' })).toBe(
+      `otpauth://totp/Blog%3Aada%40example.com?secret=${SECRET}&issuer=Blog&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const PostDraft = require('../models/PostDraft');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const DataExport = require('../models/DataExport');
+const LoginThrottle = require('../models/LoginThrottle');
+const Follow = require('../models/Follow');
+const AuditEvent = require('../models/AuditEvent');
+const storage = require('./storage');
+
+// Permanently remove an account whose deletion grace period has ended.
+// Comments are anonymized so threads stay intact; posts are deleted or
+// reassigned according to the admin's choice on the account. Audit events
+// are kept, with the username and email addresses redacted.
+
+// Resolve where posts go, falling back to deletion if the target is gone
+const resolvePostTarget = async (user) => {
+  if (user.deletionPostAction !== 'reassign' || !user.deletionReassignTo) {
+    return null;
+  }
+
+  const target = await User.findOne({ _id: user.deletionReassignTo, isActive: true });
+  return target ? target._id : null;
+};
+
+exports.purgeAccount = async (user) => {
+  const reassignTo = await resolvePostTarget(user);
+
+  if (reassignTo) {
+    await Post.updateMany({ author: user._id }, { $set: { author: reassignTo } });
+  } else {
+    const posts = await Post.find({ author: user._id }).select('_id');
+    const postIds = posts.map(post => post._id);
+
+    await Comment.deleteMany({ post: { $in: postIds } });
+    await PostRevision.deleteMany({ post: { $in: postIds } });
+    await PostDraft.deleteMany({ post: { $in: postIds } });
+    await Post.deleteMany({ _id: { $in: postIds } });
+  }
+
+  // Keep the comments, drop the link to the person
+  await Comment.anonymizeAuthor(user._id);
+
+  // Likes are personal data too
+  await Post.updateMany({ 'likes.user': user._id }, { $pull: { likes: { user: user._id } } });
+  await Comment.updateMany({ 'likes.user': user._id }, { $pull: { likes: { user: user._id } } });
+
+  const dataExports = await DataExport.find({ user: user._id }).select('+filePath');
+  await Promise.all(dataExports
+    .filter(dataExport => dataExport.filePath)
+    .map(dataExport => fs.rm(dataExport.filePath, { force: true })));
+
+  const { avatarStorageKeys = [] } = await User.findById(user._id).select('+avatarStorageKeys');
+  await storage.removeFiles(avatarStorageKeys);
+
+  await Promise.all([
+    DataExport.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    PostDraft.deleteMany({ user: user._id }),
+    ApiToken.deleteMany({ user: user._id }),
+    Follow.deleteMany({ $or: [{ follower: user._id }, { targetModel: 'User', target: user._id }] }),
+    LoginThrottle.reset(LoginThrottle.accountKey(user.email))
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+  await AuditEvent.redactUser(user);
+
+  await AuditEvent.record(null, 'system.account_purge', {
+    actor: null,
+    target: user,
+    details: { postsReassignedTo: reassignTo }
+  });
+
+  return { postsReassignedTo: reassignTo };
+};
+
+// Purge every account that is due; returns the number purged
+exports.purgeDueAccounts = async () => {
+  const users = await User.findDueForPurge();
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      await exports.purgeAccount(user);
+      purged += 1;
+    } catch (error) {
+      console.error(`Account purge failed for ${user._id}:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} deleted account(s)`);
+  }
+
+  return purged;
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const DataExport = require('../models/DataExport');
+const Follow = require('../models/Follow');
+const { sendEmail } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+// Personal data export: collects everything stored about a user into a zip
+// archive of JSON files, with one Markdown file per post.
+
+const exportDir = () => process.env.EXPORT_DIR || path.join(__dirname, '..', 'tmp', 'exports');
+
+const expiresInHours = () => parseInt(process.env.EXPORT_EXPIRE_HOURS) || 48;
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Render a post as Markdown with YAML front matter
+const postToMarkdown = (post) => {
+  const frontMatter = {
+    title: post.title,
+    slug: post.slug,
+    status: post.status,
+    category: post.category ? post.category.name : null,
+    tags: post.tags,
+    excerpt: post.excerpt,
+    publishedAt: post.publishedAt,
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt
+  };
+
+  const yaml = Object.entries(frontMatter)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n');
+
+  return `---\n${yaml}\n---\n\n# ${post.title}\n\n${post.content}\n`;
+};
+
+// Gather the export contents for a user
+const collectUserData = async (userId) => {
+  const [user, posts, comments, likedPosts, likedComments, sessions, apiTokens, follows] = await Promise.all([
+    User.findById(userId),
+    Post.find({ author: userId }).populate('category', 'name slug').sort({ createdAt: 1 }),
+    Comment.find({ author: userId }).populate('post', 'title slug').sort({ createdAt: 1 }),
+    Post.find({ 'likes.user': userId }).select('title slug likes'),
+    Comment.find({ 'likes.user': userId }).select('content post likes'),
+    Session.find({ user: userId }).sort({ createdAt: 1 }),
+    ApiToken.find({ user: userId }).sort({ createdAt: 1 }),
+    Follow.find({ follower: userId }).populate('target').sort({ createdAt: 1 })
+  ]);
+
+  if (!user) {
+    throw new Error('User no longer exists');
+  }
+
+  const likedAt = (doc) => {
+    const like = doc.likes.find(entry => entry.user && entry.user.toString() === userId.toString());
+    return like ? like.createdAt : null;
+  };
+
+  return {
+    profile: user.toJSON(),
+    posts: posts.map(post => post.toObject({ virtuals: false })),
+    comments: comments.map(comment => ({
+      id: comment._id,
+      content: comment.content,
+      post: comment.post
+        ? { id: comment.post._id, title: comment.post.title, slug: comment.post.slug }
+        : null,
+      parentComment: comment.parentComment,
+      isApproved: comment.isApproved,
+      isEdited: comment.isEdited,
+      createdAt: comment.createdAt,
+      updatedAt: comment.updatedAt
+    })),
+    likes: {
+      posts: likedPosts.map(post => ({
+        id: post._id,
+        title: post.title,
+        slug: post.slug,
+        likedAt: likedAt(post)
+      })),
+      comments: likedComments.map(comment => ({
+        id: comment._id,
+        post: comment.post,
+        content: comment.content,
+        likedAt: likedAt(comment)
+      }))
+    },
+    following: follows
+      .filter(follow => follow.target)
+      .map(follow => ({
+        type: follow.targetModel === 'User' ? 'author' : 'category',
+        id: follow.target._id,
+        name: follow.target.username || follow.target.name,
+        followedAt: follow.createdAt
+      })),
+    sessions: sessions.map(session => session.toJSON()),
+    apiTokens: apiTokens.map(apiToken => apiToken.toJSON())
+  };
+};
+
+// Write the zip archive and resolve to its size in bytes
+const writeArchive = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+
+  archive.append(toJson({
+    exportedAt: new Date().toISOString(),
+    user: data.profile.username,
+    contents: [
+      'profile.json',
+      'posts.json',
+      'posts/*.md',
+      'comments.json',
+      'likes.json',
+      'following.json',
+      'sessions.json',
+      'api-tokens.json'
+    ]
+  }), { name: 'manifest.json' });
+  archive.append(toJson(data.profile), { name: 'profile.json' });
+  archive.append(toJson(data.posts), { name: 'posts.json' });
+  archive.append(toJson(data.comments), { name: 'comments.json' });
+  archive.append(toJson(data.likes), { name: 'likes.json' });
+  archive.append(toJson(data.following), { name: 'following.json' });
+  archive.append(toJson(data.sessions), { name: 'sessions.json' });
+  archive.append(toJson(data.apiTokens), { name: 'api-tokens.json' });
+
+  data.posts.forEach((post) => {
+    archive.append(postToMarkdown(post), { name: `posts/${post.slug || post._id}.md` });
+  });
+
+  await archive.finalize();
+  await finished;
+
+  return archive.pointer();
+};
+
+// Signed download link, valid until the export expires
+exports.getDownloadUrl = (dataExport) => {
+  const token = jwt.sign(
+    { sub: dataExport._id.toString(), purpose: 'export' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000)) }
+  );
+
+  const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${serverUrl}/api/auth/export/${dataExport._id}/download?token=${token}`;
+};
+
+// Check a download token and return the export id it was issued for
+exports.verifyDownloadToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'export') {
+    throw new Error('Invalid download token');
+  }
+  return decoded.sub;
+};
+
+// Build an export in the background. Never throws; failures are recorded on the export.
+exports.processExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport) {
+    return;
+  }
+
+  try {
+    dataExport.status = 'processing';
+    await dataExport.save();
+
+    const data = await collectUserData(dataExport.user);
+    const filePath = path.join(exportDir(), `${dataExport._id}.zip`);
+    const fileSize = await writeArchive(filePath, data);
+
+    dataExport.status = 'ready';
+    dataExport.filePath = filePath;
+    dataExport.fileSize = fileSize;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + expiresInHours() * 60 * 60 * 1000);
+    await dataExport.save();
+  } catch (error) {
+    console.error('Data export error:', error);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save().catch(() => {});
+    return;
+  }
+
+  // The link is also available from the export status endpoint, so a mail
+  // failure does not fail the export
+  try {
+    const user = await User.findById(dataExport.user);
+    await sendEmail({
+      to: user.email,
+      ...emailTemplates.dataExportReady({
+        user,
+        downloadUrl: exports.getDownloadUrl(dataExport),
+        expiresInHours: expiresInHours()
+      })
+    });
+  } catch (error) {
+    console.error('Data export email error:', error);
+  }
+};
@@ -0,0 +1,150 @@
+// Line-level diff (Myers' O(ND) algorithm), used to compare post revisions.
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+// Texts further apart than this many inserted and deleted lines are not
+// searched for a shortest edit script; the differing middle is reported as
+// replaced wholesale. Keeps time at O((N+M)·D) and the trace at O(D²).
+const MAX_EDIT_DISTANCE = 1000;
+
+// Shortest edit script between two line arrays, as a list of
+// { type: 'equal' | 'insert' | 'delete', line } in document order,
+// or null when the arrays are more than maxDistance edits apart
+const shortestEditScript = (a, b, maxDistance) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxDistance);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  // trace[d] holds the V entries for diagonals -d..d before step d
+  const trace = [];
+
+  let found = n + m === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return null;
+  }
+
+  // Walk the trace backwards to recover the path
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = (diagonal) => vd[diagonal + d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1))
+      ? k + 1
+      : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+// Edit script with the common head and tail taken out before the search, so
+// a small change in a long text stays cheap
+const editScript = (a, b) => {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) {
+    head++;
+  }
+
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const oldMiddle = a.slice(head, a.length - tail);
+  const newMiddle = b.slice(head, b.length - tail);
+  const middle = shortestEditScript(oldMiddle, newMiddle, MAX_EDIT_DISTANCE) || [
+    ...oldMiddle.map(line => ({ type: 'delete', line })),
+    ...newMiddle.map(line => ({ type: 'insert', line }))
+  ];
+
+  return [
+    ...a.slice(0, head).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(a.length - tail).map(line => ({ type: 'equal', line }))
+  ];
+};
+
+// Diff two texts line by line. Consecutive lines of the same kind are grouped:
+// { changes: [{ type, oldStart, newStart, lines }], additions, deletions }
+// where oldStart/newStart are 1-based line numbers.
+exports.diffLines = (oldText, newText) => {
+  const ops = editScript(splitLines(oldText), splitLines(newText));
+  const changes = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let additions = 0;
+  let deletions = 0;
+
+  ops.forEach(({ type, line }) => {
+    const last = changes[changes.length - 1];
+
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      changes.push({ type, oldStart: oldLine, newStart: newLine, lines: [line] });
+    }
+
+    if (type !== 'insert') {
+      oldLine++;
+    }
+    if (type !== 'delete') {
+      newLine++;
+    }
+    if (type === 'insert') {
+      additions++;
+    }
+    if (type === 'delete') {
+      deletions++;
+    }
+  });
+
+  return { changes, additions, deletions };
+};
@@ -0,0 +1,121 @@
+// Email templates. Each returns the { subject, text, html } for sendEmail.
+
+const appName = () => process.env.APP_NAME || 'MERN Blog';
+
+exports.passwordReset = ({ user, resetUrl, expiresInMinutes }) => ({
+  subject: `${appName()} password reset`,
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    '',
+    resetUrl,
+    '',
+    `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not request a password reset, you can ignore this email.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${user.firstName},</p>
+    <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+    <p><a href="${resetUrl}">Reset your password</a></p>
+    <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+    <p>If you did not request a password reset, you can ignore this email.</p>
+  `
+});
+
+exports.emailVerification = ({ user, verifyUrl, expiresInHours }) => ({
+  subject: `Verify your ${appName()} email address`,
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    'Please confirm your email address by opening the link below:',
+    '',
+    verifyUrl,
+    '',
+    `This link expires in ${expiresInHours} hours.`,
+    'Until you verify, you can read and save drafts but not publish posts or comment.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${user.firstName},</p>
+    <p>Please confirm your email address by opening the link below:</p>
+    <p><a href="${verifyUrl}">Verify your email</a></p>
+    <p>This link expires in ${expiresInHours} hours.</p>
+    <p>Until you verify, you can read and save drafts but not publish posts or comment.</p>
+  `
+});
+
+exports.dataExportReady = ({ user, downloadUrl, expiresInHours }) => ({
+  subject: `Your ${appName()} data export is ready`,
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    'The copy of your data you requested is ready. Download it here:',
+    '',
+    downloadUrl,
+    '',
+    `This link expires in ${expiresInHours} hours.`,
+    'If you did not request an export, please change your password.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${user.firstName},</p>
+    <p>The copy of your data you requested is ready.</p>
+    <p><a href="${downloadUrl}">Download your data</a></p>
+    <p>This link expires in ${expiresInHours} hours.</p>
+    <p>If you did not request an export, please change your password.</p>
+  `
+});
+
+exports.accountDeletionScheduled = ({ user, deletionDate }) => ({
+  subject: `Your ${appName()} account will be deleted`,
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    `Your account has been deactivated and will be permanently deleted on ${deletionDate.toDateString()}.`,
+    'Changed your mind? Just log in before then and your account will be restored.',
+    '',
+    'After deletion your comments remain, attributed to "deleted user".'
+  ].join('\n'),
+  html: `
+    <p>Hi ${user.firstName},</p>
+    <p>Your account has been deactivated and will be permanently deleted on ${deletionDate.toDateString()}.</p>
+    <p>Changed your mind? Just log in before then and your account will be restored.</p>
+    <p>After deletion your comments remain, attributed to "deleted user".</p>
+  `
+});
+
+exports.emailChangeConfirmation = ({ user, newEmail, confirmUrl, expiresInHours }) => ({
+  subject: `Confirm your new ${appName()} email address`,
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    `Please confirm that you want to use ${newEmail} for your account:`,
+    '',
+    confirmUrl,
+    '',
+    `This link expires in ${expiresInHours} hours. Your current address stays in use until you confirm.`
+  ].join('\n'),
+  html: `
+    <p>Hi ${user.firstName},</p>
+    <p>Please confirm that you want to use ${newEmail} for your account:</p>
+    <p><a href="${confirmUrl}">Confirm new email address</a></p>
+    <p>This link expires in ${expiresInHours} hours. Your current address stays in use until you confirm.</p>
+  `
+});
+
+exports.emailChangeNotice = ({ user, newEmail }) => ({
+  subject: `Your ${appName()} email address is being changed`,
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    `Someone signed in to your account asked to change its email address to ${newEmail}.`,
+    'Nothing changes until the new address is confirmed.',
+    '',
+    'If this was not you, log in, cancel the change from your profile and change your password.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${user.firstName},</p>
+    <p>Someone signed in to your account asked to change its email address to ${newEmail}.</p>
+    <p>Nothing changes until the new address is confirmed.</p>
+    <p>If this was not you, log in, cancel the change from your profile and change your password.</p>
+  `
+});
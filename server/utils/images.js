@@ -0,0 +1,44 @@
+const sharp = require('sharp');
+
+// Square avatar sizes, in pixels
+const AVATAR_SIZES = [64, 128, 256];
+
+// Crop an uploaded image to a square and render every avatar size as WebP.
+// `crop` ({ x, y, size } in source pixels) selects the square; without it the
+// most interesting region of the image is used.
+exports.createAvatarVariants = async (buffer, crop = null) => {
+  let source;
+  try {
+    // Apply EXIF orientation before reading dimensions
+    source = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    const error = new Error('File is not a valid image');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { width, height } = source.info;
+
+  let image = sharp(source.data);
+
+  if (crop) {
+    if (crop.x + crop.size > width || crop.y + crop.size > height) {
+      const error = new Error('Crop area is outside the image');
+      error.statusCode = 400;
+      throw error;
+    }
+    image = image.extract({ left: crop.x, top: crop.y, width: crop.size, height: crop.size });
+  }
+
+  const square = await image.toBuffer();
+
+  return Promise.all(AVATAR_SIZES.map(async (size) => ({
+    size,
+    buffer: await sharp(square)
+      .resize(size, size, { fit: 'cover', position: sharp.strategy.attention })
+      .webp({ quality: 85 })
+      .toBuffer()
+  })));
+};
+
+exports.AVATAR_SIZES = AVATAR_SIZES;
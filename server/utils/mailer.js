@@ -0,0 +1,104 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Mail transports. Each one exposes `send(message)` and resolves once the
+// message has been handed off. Pick one with MAIL_TRANSPORT (default: console,
+// outside production).
+const transports = {
+  // Print messages to stdout (local development only: links carry reset tokens)
+  console: {
+    send: async (message) => {
+      console.log('📧 Email (console transport)');
+      console.log(`   To:      ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(`\n${message.text}\n`);
+    }
+  },
+
+  // Write each message to a JSON file in MAIL_FILE_DIR (local development / tests)
+  file: {
+    send: async (message) => {
+      const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+      await fs.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      await fs.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  },
+
+  // Deliver through an SMTP server configured by the SMTP_* variables
+  smtp: {
+    send: async (message) => {
+      if (!transports.smtp.client) {
+        const nodemailer = require('nodemailer');
+        transports.smtp.client = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: parseInt(process.env.SMTP_PORT) === 465,
+          auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+          }
+        });
+      }
+
+      await transports.smtp.client.sendMail(message);
+    }
+  }
+};
+
+// Register a custom transport (e.g. a third-party mail API)
+exports.registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+// Transports that leave messages on the server instead of delivering them
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Resolve the configured transport. Production needs a real one: the local
+// transports would write reset and verification links to the server's logs.
+const getTransport = () => {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (production ? '' : 'console');
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  if (production && LOCAL_TRANSPORTS.includes(name)) {
+    throw new Error(`Mail transport '${name}' cannot be used in production`);
+  }
+
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+// Fail fast at startup when the mail transport is missing or unsafe. Custom
+// transports must be registered before this runs.
+exports.checkMailTransport = () => {
+  getTransport();
+};
+
+// Send an email through the configured transport
+exports.sendEmail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'MERN Blog <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
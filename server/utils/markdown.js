@@ -0,0 +1,151 @@
+const { marked } = require('marked');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+// Server-side Markdown pipeline for post content: GitHub-flavoured Markdown to
+// sanitized HTML with heading anchors, a table of contents, highlighted code
+// blocks and a plain-text projection for excerpts, read time and search.
+
+// Bump when the output changes, so stored renders are refreshed
+const RENDER_VERSION = 1;
+
+const headingTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const sanitizeOptions = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    ...headingTags,
+    'img',
+    'del',
+    'input'
+  ],
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    ...Object.fromEntries(headingTags.map(tag => [tag, ['id']])),
+    a: ['href', 'name', 'target', 'title', 'rel', 'class'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    code: ['class'],
+    span: ['class'],
+    td: ['align'],
+    th: ['align'],
+    // GFM task list checkboxes
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    a: ['heading-anchor'],
+    code: ['hljs', /^language-[\w-]+$/],
+    span: [/^hljs-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data']
+  },
+  transformTags: {
+    // Links leave the site in a new tab without passing on the opener
+    a: (tagName, attribs) => {
+      const external = /^https?:\/\//i.test(attribs.href || '');
+      return {
+        tagName,
+        attribs: external
+          ? { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+          : attribs
+      };
+    },
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.type === 'checkbox' ? { ...attribs, disabled: '' } : {}
+    })
+  }
+};
+
+// URL-friendly heading id, unique within the document
+const createSlugger = () => {
+  const seen = new Map();
+
+  return (text) => {
+    const base = text
+      .toLowerCase()
+      .trim()
+      .replace(/<[^>]*>/g, '')
+      .replace(/[^\p{L}\p{N}\s-]/gu, '')
+      .replace(/\s+/g, '-') || 'section';
+
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  };
+};
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+// Plain text of sanitized HTML, keeping paragraph breaks
+const toPlainText = (html) => {
+  const spaced = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h[1-6]|li|pre|blockquote|tr|table|ul|ol|div)>/gi, '$&\n\n');
+
+  return decodeEntities(sanitizeHtml(spaced, { allowedTags: [], allowedAttributes: {} }))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const highlight = (code, language) => {
+  if (language && hljs.getLanguage(language)) {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  }
+  return hljs.highlightAuto(code).value;
+};
+
+// Render Markdown. Returns { html, text, toc, version } where toc is a
+// flat list of { level, text, id } in document order.
+const renderMarkdown = (markdown = '') => {
+  const slug = createSlugger();
+  const toc = [];
+  const renderer = new marked.Renderer();
+
+  renderer.heading = (html, level) => {
+    const text = toPlainText(html);
+    const id = slug(text);
+    toc.push({ level, text, id });
+    return `<h${level} id="${id}"><a class="heading-anchor" href="#${id}">${html}</a></h${level}>\n`;
+  };
+
+  const rawHtml = marked.parse(String(markdown), {
+    gfm: true,
+    renderer,
+    highlight,
+    langPrefix: 'hljs language-',
+    mangle: false,
+    headerIds: false
+  });
+
+  const html = sanitizeHtml(rawHtml, sanitizeOptions);
+
+  return {
+    html,
+    text: toPlainText(html),
+    toc,
+    version: RENDER_VERSION
+  };
+};
+
+// Word count of rendered plain text
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+module.exports = {
+  RENDER_VERSION,
+  renderMarkdown,
+  toPlainText,
+  countWords
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRedirectUri } = require('../config/oauth');
+
+// Authorization code flow with PKCE for OAuth2 / OpenID Connect providers.
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Algorithms accepted for ID token signatures (never "none" or HMAC)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// Resolve endpoints, using OIDC discovery for providers with an issuer
+const getEndpoints = async (provider) => {
+  if (!provider.issuer) {
+    return provider;
+  }
+
+  if (!discoveryCache.has(provider.issuer)) {
+    const response = await fetch(`${provider.issuer}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw new Error(`OIDC discovery failed for ${provider.issuer} (${response.status})`);
+    }
+
+    const metadata = await response.json();
+    discoveryCache.set(provider.issuer, {
+      authorizationEndpoint: metadata.authorization_endpoint,
+      tokenEndpoint: metadata.token_endpoint,
+      userinfoEndpoint: metadata.userinfo_endpoint,
+      jwksUri: metadata.jwks_uri,
+      issuer: metadata.issuer
+    });
+  }
+
+  return { ...provider, ...discoveryCache.get(provider.issuer) };
+};
+
+// Build the provider login URL and the state to keep until the callback
+exports.createAuthorizationRequest = async (provider) => {
+  const endpoints = await getEndpoints(provider);
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider.name),
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  if (provider.issuer) {
+    params.set('nonce', nonce);
+  }
+
+  return {
+    url: `${endpoints.authorizationEndpoint}?${params.toString()}`,
+    state: { provider: provider.name, state, nonce, codeVerifier }
+  };
+};
+
+// Fetch the issuer's signing keys (JWKS)
+const fetchSigningKeys = async (jwksUri) => {
+  const response = await fetch(jwksUri);
+  if (!response.ok) {
+    throw new Error(`Fetching signing keys failed (${response.status})`);
+  }
+
+  const { keys = [] } = await response.json();
+  jwksCache.set(jwksUri, keys);
+  return keys;
+};
+
+// Public key for a key ID, refetching the JWKS once when the issuer has
+// rotated to a key we haven't seen
+const getSigningKey = async (endpoints, kid) => {
+  if (!endpoints.jwksUri) {
+    throw new Error('Provider does not publish signing keys');
+  }
+
+  const find = (keys) => keys.find(key => key.use !== 'enc' && (!kid || key.kid === kid));
+
+  let jwk = jwksCache.has(endpoints.jwksUri) ? find(jwksCache.get(endpoints.jwksUri)) : null;
+  if (!jwk) {
+    jwk = find(await fetchSigningKeys(endpoints.jwksUri));
+  }
+  if (!jwk) {
+    throw new Error('ID token signing key not found');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify the ID token signature against the issuer's keys and check its claims
+const verifyIdToken = async (idToken, endpoints, provider, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(endpoints, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: endpoints.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new Error(`ID token is invalid: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// GitHub exposes its own user API rather than OIDC claims
+const fetchGithubProfile = async (endpoints, accessToken) => {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    Accept: 'application/vnd.github+json'
+  };
+
+  const user = await (await fetch(endpoints.userinfoEndpoint, { headers })).json();
+  const emails = await (await fetch(endpoints.emailsEndpoint, { headers })).json();
+  const primary = Array.isArray(emails)
+    ? emails.find(email => email.primary) || emails[0]
+    : null;
+
+  const [firstName, ...rest] = (user.name || user.login || '').split(' ');
+
+  return {
+    subject: String(user.id),
+    email: primary ? primary.email : user.email,
+    emailVerified: Boolean(primary && primary.verified),
+    username: user.login,
+    firstName,
+    lastName: rest.join(' '),
+    avatar: user.avatar_url || null
+  };
+};
+
+// Map standard OIDC claims to a profile
+const toProfile = (claims) => {
+  const [nameFirst, ...nameRest] = (claims.name || '').split(' ');
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    username: claims.preferred_username || claims.nickname,
+    firstName: claims.given_name || nameFirst,
+    lastName: claims.family_name || nameRest.join(' '),
+    avatar: claims.picture || null
+  };
+};
+
+// Exchange the authorization code and return the normalized user profile
+exports.completeAuthorization = async (provider, code, savedState) => {
+  const endpoints = await getEndpoints(provider);
+
+  const tokenResponse = await fetch(endpoints.tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(provider.name),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || '',
+      code_verifier: savedState.codeVerifier
+    })
+  });
+
+  const tokens = await tokenResponse.json();
+
+  if (!tokenResponse.ok || !tokens.access_token) {
+    throw new Error(`Token exchange failed: ${tokens.error_description || tokens.error || tokenResponse.status}`);
+  }
+
+  if (!provider.issuer) {
+    return fetchGithubProfile(endpoints, tokens.access_token);
+  }
+
+  let claims = tokens.id_token
+    ? await verifyIdToken(tokens.id_token, endpoints, provider, savedState.nonce)
+    : {};
+
+  if (endpoints.userinfoEndpoint) {
+    const userinfo = await (await fetch(endpoints.userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    })).json();
+
+    if (claims.sub && userinfo.sub !== claims.sub) {
+      throw new Error('Userinfo subject does not match ID token');
+    }
+    claims = { ...userinfo, ...claims };
+  }
+
+  if (!claims.sub) {
+    throw new Error('Provider did not return a subject');
+  }
+
+  return toProfile(claims);
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const zxcvbn = require('zxcvbn');
+const { body } = require('express-validator');
+
+// Password policy shared by registration, password change and password reset.
+// Every rule is configurable through the environment.
+
+// bcrypt only hashes the first 72 bytes of a password
+const MAX_BYTES = 72;
+
+const policy = () => ({
+  // Lengths are counted in characters (code points)
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 72,
+  // zxcvbn score from 0 (too guessable) to 4 (very unguessable)
+  minScore: process.env.PASSWORD_MIN_SCORE !== undefined
+    ? parseInt(process.env.PASSWORD_MIN_SCORE)
+    : 2,
+  historyCount: process.env.PASSWORD_HISTORY_COUNT !== undefined
+    ? parseInt(process.env.PASSWORD_HISTORY_COUNT)
+    : 5
+});
+
+let bannedPasswords = null;
+
+// Bundled offline list of common and breached passwords, loaded once
+const loadBannedPasswords = () => {
+  if (!bannedPasswords) {
+    const file = process.env.PASSWORD_BANNED_LIST ||
+      path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+    bannedPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return bannedPasswords;
+};
+
+// Undo common substitutions and decorations, so "P@ssw0rd2024!" matches "password"
+const normalize = (password) =>
+  password
+    .toLowerCase()
+    .replace(/[@4]/g, 'a')
+    .replace(/3/g, 'e')
+    .replace(/[1!|]/g, 'i')
+    .replace(/0/g, 'o')
+    .replace(/[$5]/g, 's')
+    .replace(/7/g, 't');
+
+const isBanned = (password) => {
+  const banned = loadBannedPasswords();
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[\d\W_]+$/, '');
+
+  return banned.has(lower) ||
+    (stripped.length >= 4 && banned.has(stripped)) ||
+    banned.has(normalize(password)) ||
+    (stripped.length >= 4 && banned.has(normalize(stripped)));
+};
+
+// Check a password against the policy. `userInputs` are values that should not
+// make up the password (username, email, names). Returns a list of problems.
+const checkPassword = (password, userInputs = []) => {
+  const { minLength, maxLength, minScore } = policy();
+  const problems = [];
+
+  const length = typeof password === 'string' ? [...password].length : 0;
+
+  if (length < minLength) {
+    problems.push(`Password must be at least ${minLength} characters long`);
+    return problems;
+  }
+
+  if (length > maxLength) {
+    problems.push(`Password cannot be longer than ${maxLength} characters`);
+    return problems;
+  }
+
+  // Accented letters, emoji and non-Latin scripts take several bytes each
+  if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+    problems.push(`Password is too long: use fewer accented letters, symbols or emoji (at most ${MAX_BYTES} bytes)`);
+    return problems;
+  }
+
+  if (isBanned(password)) {
+    problems.push('This password is too common or has appeared in a data breach. Please choose another.');
+    return problems;
+  }
+
+  const inputs = userInputs
+    .filter(Boolean)
+    .flatMap(value => String(value).toLowerCase().split(/[@.\s]/))
+    .filter(value => value.length >= 3);
+  const result = zxcvbn(password, inputs);
+
+  if (result.score < minScore) {
+    const { warning, suggestions } = result.feedback;
+    problems.push(
+      [warning || 'Password is too easy to guess', ...suggestions]
+        .map(text => text.replace(/\.?$/, '.'))
+        .join(' ')
+    );
+  }
+
+  return problems;
+};
+
+// express-validator rule enforcing the policy on a body field. Other body fields
+// and the signed-in user are passed to the strength check as personal inputs.
+const passwordRule = (field = 'password') =>
+  body(field).custom((value, { req }) => {
+    const user = req.user || {};
+    const problems = checkPassword(value, [
+      req.body.username,
+      req.body.email,
+      req.body.firstName,
+      req.body.lastName,
+      user.username,
+      user.email,
+      user.firstName,
+      user.lastName
+    ]);
+
+    if (problems.length) {
+      throw new Error(problems[0]);
+    }
+    return true;
+  });
+
+module.exports = {
+  policy,
+  checkPassword,
+  passwordRule
+};
@@ -0,0 +1,41 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+
+// Moves posts between states on schedule: scheduled -> published at publishAt,
+// published -> archived at unpublishAt. State lives in the database, so posts
+// that fell due while the server was down are handled on the next run.
+
+// Upper bound per run, so a large backlog doesn't hold up the job
+const BATCH_SIZE = 100;
+
+// Claim and transition due posts one at a time until none are left
+const transitionAll = async (claimNext, fromStatus) => {
+  const now = new Date();
+  let count = 0;
+
+  while (count < BATCH_SIZE) {
+    const post = await claimNext.call(Post, now);
+    if (!post) {
+      break;
+    }
+    count += 1;
+
+    // System change, so no editor
+    await PostRevision.record(post, null, {
+      before: { ...post.toObject({ depopulate: true }), status: fromStatus }
+    }).catch(error => console.error(`Revision for scheduled change of ${post._id} failed:`, error));
+  }
+
+  return count;
+};
+
+exports.runPostSchedule = async () => {
+  const published = await transitionAll(Post.publishNextDue, 'scheduled');
+  const archived = await transitionAll(Post.unpublishNextExpired, 'published');
+
+  if (published > 0 || archived > 0) {
+    console.log(`🗓️  Scheduled posts: ${published} published, ${archived} archived`);
+  }
+
+  return { published, archived };
+};
@@ -0,0 +1,25 @@
+const { canAccessResource } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Who may see a post, shared by the post and comment endpoints
+
+// The signed-in user for reading posts, if any. Personal access tokens need
+// the posts:read scope to see more than anonymous visitors.
+const postReader = (req) => {
+  if (!req.user || (req.apiToken && !req.apiToken.hasScope('posts:read'))) {
+    return null;
+  }
+  return req.user;
+};
+
+// Posts that are not published are only visible to users who may edit them
+const canViewPost = (user, post) =>
+  post.status === 'published' || (Boolean(user) && canAccessResource(user, post, {
+    own: PERMISSIONS.POSTS_EDIT_OWN,
+    any: PERMISSIONS.POSTS_EDIT_ANY
+  }));
+
+module.exports = {
+  postReader,
+  canViewPost
+};
@@ -0,0 +1,57 @@
+// Minimal in-process scheduler for periodic maintenance jobs. Each job runs
+// on its own interval and never overlaps with a previous run of itself.
+
+const jobs = new Map();
+
+// Register a job; `task` may return a promise. With `runOnStart` the job also
+// runs as soon as the jobs start instead of waiting a full interval.
+exports.registerJob = (name, intervalMs, task, { runOnStart = false } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, task, runOnStart, timer: null, running: false, lastRunAt: null });
+};
+
+// Run a job now, skipping it if the previous run has not finished
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    await job.task();
+    job.lastRunAt = new Date();
+  } catch (error) {
+    console.error(`Job "${name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+exports.runJob = runJob;
+
+// Start every registered job
+exports.startJobs = () => {
+  jobs.forEach((job) => {
+    if (job.timer) {
+      return;
+    }
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for maintenance jobs
+    job.timer.unref();
+
+    if (job.runOnStart) {
+      setImmediate(() => runJob(job.name));
+    }
+  });
+};
+
+// Stop every job (graceful shutdown / tests)
+exports.stopJobs = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
@@ -0,0 +1,71 @@
+// URL slugs for posts and categories: readable, stable and unique.
+
+const MAX_LENGTH = 80;
+
+// Lowercase ASCII letters and digits joined by single hyphens. Accents are
+// dropped ("Café Crème" -> "cafe-creme"); may return an empty string.
+const slugify = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_LENGTH)
+    .replace(/-+$/, '');
+
+// First free slug for `text` in Model: the plain slug, or the slug with the
+// lowest free numeric suffix ("my-post-2", "my-post-3"...). `fields` are the
+// paths that reserve a slug (including retired ones), `excludeId` the document
+// being saved, so it keeps its own slug.
+const uniqueSlug = async (Model, text, { fields = ['slug'], excludeId } = {}) => {
+  const base = slugify(text) || Model.modelName.toLowerCase();
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const docs = await Model.find({
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    $or: fields.map(field => ({ [field]: pattern }))
+  })
+    .select(fields.join(' '))
+    .lean();
+
+  const taken = new Set(
+    docs.flatMap(doc => fields.flatMap(field => [].concat(doc[field] || [])))
+  );
+
+  if (!taken.has(base)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+// Whether a write failed because another document holds the slug
+const isSlugConflict = (error) =>
+  Boolean(error) && error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.slug);
+
+// Run a write that picks a slug with uniqueSlug, and run it again when a
+// concurrent write took the same slug between the check and the write. Each
+// attempt must pick its slug afresh (the pre-save hooks do).
+const retryOnSlugConflict = async (write, attempts = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await write();
+    } catch (error) {
+      if (!isSlugConflict(error) || attempt >= attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  isSlugConflict,
+  retryOnSlugConflict
+};
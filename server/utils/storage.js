@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File storage drivers. Each one exposes `put(key, buffer, contentType)`, which
+// resolves to the public URL of the stored file, and `remove(key)`. Pick one
+// with STORAGE_DRIVER (default: local).
+
+// A relative UPLOAD_DIR is taken from the server directory, not from wherever
+// the process was started
+const serverRoot = path.join(__dirname, '..');
+const uploadDir = () => path.resolve(serverRoot, process.env.UPLOAD_DIR || 'uploads');
+
+const drivers = {
+  // Write files below UPLOAD_DIR, served by the /uploads static route
+  local: {
+    put: async (key, buffer) => {
+      const filePath = path.join(uploadDir(), key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+      return `${serverUrl}/uploads/${key}`;
+    },
+    remove: async (key) => {
+      await fs.rm(path.join(uploadDir(), key), { force: true });
+    }
+  },
+
+  // Upload to Cloudinary using the CLOUDINARY_* variables
+  cloudinary: {
+    client: null,
+    getClient: () => {
+      if (!drivers.cloudinary.client) {
+        const { v2: cloudinary } = require('cloudinary');
+        cloudinary.config({
+          cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+          api_key: process.env.CLOUDINARY_API_KEY,
+          api_secret: process.env.CLOUDINARY_API_SECRET
+        });
+        drivers.cloudinary.client = cloudinary;
+      }
+      return drivers.cloudinary.client;
+    },
+    put: (key, buffer) => new Promise((resolve, reject) => {
+      const publicId = key.replace(/\.[^/.]+$/, '');
+      const stream = drivers.cloudinary.getClient().uploader.upload_stream(
+        { public_id: publicId, overwrite: true, resource_type: 'image' },
+        (error, result) => (error ? reject(error) : resolve(result.secure_url))
+      );
+      stream.end(buffer);
+    }),
+    remove: async (key) => {
+      await drivers.cloudinary.getClient().uploader.destroy(key.replace(/\.[^/.]+$/, ''));
+    }
+  }
+};
+
+const getDriver = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Directory the local driver writes to
+exports.uploadDir = uploadDir;
+
+// Register a custom driver (e.g. S3)
+exports.registerDriver = (name, driver) => {
+  if (!driver || typeof driver.put !== 'function' || typeof driver.remove !== 'function') {
+    throw new Error('Storage driver must implement put(key, buffer, contentType) and remove(key)');
+  }
+  drivers[name] = driver;
+};
+
+// Store a file and return its public URL
+exports.putFile = (key, buffer, contentType) => getDriver().put(key, buffer, contentType);
+
+// Remove stored files; missing files are ignored
+exports.removeFiles = (keys = []) => Promise.all(keys.map(key => getDriver().remove(key)));